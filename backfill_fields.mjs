@@ -0,0 +1,273 @@
+// Doplnění chybějících polí (IMDb, originální název, žánr, režie, herci, popis, ...)
+// Použije sdílené jádro (csfd_core.mjs) - stejné extraktory jako scrapery.
+//
+//   node backfill_fields.mjs --fields imdb_id,original_title [--min-year 2020] [--max-year 2024]
+//                            [--type film,series] [--rating 4,5] [--limit 200] [--fresh] [--headful]
+//                            [--imdb-basics title.basics.tsv.gz [--imdb-akas title.akas.tsv.gz]]
+//
+// Průběh se ukládá do backfill_state.json - přerušený nebo omezený (--limit) běh
+// pokračuje příště tam, kde skončil, a už zkoušené položky nestahuje znovu.
+
+import fs from "node:fs/promises";
+import {
+  configure,
+  sleep,
+  cliOption,
+  scrapeDetails,
+  scrapeDetailFields,
+  extractGenreOnPage,
+  extractDirectorOnPage,
+  extractCastOnPage,
+  extractCreatorsOnPage,
+  extractDescriptionOnPage,
+  extractCommunityRatingOnPage,
+  extractOriginFieldsOnPage,
+  csfdItemKey,
+  isDeleted,
+  loadOverrides,
+  overrideFor,
+  applyOverride,
+  applyOverrides,
+  resolveOrigins,
+  resolveProfile,
+  saveJson,
+  saveCsv,
+} from "./csfd_core.mjs";
+import { openContext, resolveTransport } from "./csfd_transport.mjs";
+import { resolveImdbIndex } from "./imdb_index.mjs";
+
+const { dataDir } = resolveProfile(); // --user / --data-dir
+
+// Pole → extraktor na už načteném detailu. imdb_id, original_title a pole sérií/epizod
+// jdou přes celý detail pipeline (IMDb hledání, rodičovský seriál), ostatní jen cíleně.
+const FIELD_EXTRACTORS = {
+  imdb_id: null,
+  original_title: null,
+  series_imdb_id: null, // s --type season,episode
+  season_number: null,
+  episode_number: null,
+  genre: extractGenreOnPage,
+  director: extractDirectorOnPage,
+  cast: extractCastOnPage,
+  description: extractDescriptionOnPage,
+  csfd_rating: async (page) => (await extractCommunityRatingOnPage(page)).csfd_rating,
+  csfd_votes: async (page) => (await extractCommunityRatingOnPage(page)).csfd_votes,
+  csfd_rank: async (page) => (await extractCommunityRatingOnPage(page)).csfd_rank,
+  country: async (page) => (await extractOriginFieldsOnPage(page)).country,
+  runtime: async (page) => (await extractOriginFieldsOnPage(page)).runtime,
+  premiere_cz: async (page) => (await extractOriginFieldsOnPage(page)).premiere_cz,
+};
+
+const list = (value) => (value ? value.split(",").map((v) => v.trim()).filter(Boolean) : []);
+
+const config = {
+  files: {
+    mainJson: `${dataDir}/csfd_ratings.json`,
+    mainCsv: `${dataDir}/csfd_ratings.csv`,
+    state: `${dataDir}/backfill_state.json`,
+    backupJson: `${dataDir}/csfd_ratings_backup_${new Date().toISOString().replace(/[:.]/g, '-')}.json`,
+  },
+  browser: {
+    transport: resolveTransport(),
+    headless: !process.argv.includes("--headful"), // --headful pro debugging
+    userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125 Safari/537.36",
+  },
+  delays: {
+    pageLoad: 2000,
+    detail: 1000,
+  },
+  fields: list(cliOption("fields", null, "imdb_id")),
+  filters: {
+    minYear: Number(cliOption("min-year", null, "0")) || 0,
+    maxYear: Number(cliOption("max-year", null, "0")) || 0,
+    types: list(cliOption("type", null, "")),
+    ratings: list(cliOption("rating", null, "")), // 0 = odpad!
+  },
+  // Kolik položek stáhnout za jeden běh (zbytek příště)
+  maxItems: Number(cliOption("limit", null, "200")) || 200,
+  fresh: process.argv.includes("--fresh"),
+  saveEvery: 25,
+};
+
+configure({
+  origins: resolveOrigins(),
+  delays: { detailSettle: config.delays.pageLoad },
+  overrides: loadOverrides(), // csfd_overrides.json / --overrides FILE
+  imdbIndex: await resolveImdbIndex({ log: console.log }), // --imdb-basics FILE
+});
+
+/** ────────────────────────────────
+ *  HELPERS
+ *  ──────────────────────────────── */
+const matchesFilters = (item, { minYear, maxYear, types, ratings }) => {
+  const year = Number(item.year) || 0;
+  if (minYear && year < minYear) return false;
+  if (maxYear && year > maxYear) return false;
+  if (types.length && !types.includes(item.type)) return false;
+  if (ratings.length && !ratings.includes(item.rating || "0")) return false;
+  return true;
+};
+
+const missingFields = (item) => config.fields.filter((field) => !item[field]);
+
+// Checkpoint platí jen pro stejná pole a filtry
+const stateSignature = () => JSON.stringify({ fields: config.fields, filters: config.filters });
+
+async function loadState() {
+  if (config.fresh) return { attempted: [] };
+  try {
+    const state = JSON.parse(await fs.readFile(config.files.state, 'utf8'));
+    if (state.signature === stateSignature()) return state;
+    console.log("ℹ️ Checkpoint je pro jiná pole/filtry - začínám znovu");
+  } catch {}
+  return { attempted: [] };
+}
+
+async function fetchFields(context, item, fields) {
+  if (fields.some((field) => !FIELD_EXTRACTORS[field])) {
+    // Stejný detail pipeline jako scrapery (CSFD odkaz → český → originální název → parent)
+    return scrapeDetails(context, item);
+  }
+  return scrapeDetailFields(context, item, async (page) => {
+    // Režie a herci se berou z bloku tvůrců (načte se jednou) - doplní se i strukturovaná podoba
+    const creators = fields.includes("director") || fields.includes("cast") ? await extractCreatorsOnPage(page) : null;
+    const result = {};
+    for (const field of fields) result[field] = await FIELD_EXTRACTORS[field](page, creators);
+    if (creators) result.creators = creators;
+    return result;
+  });
+}
+
+// === MAIN SCRIPT ===
+
+async function main() {
+  console.log(`🔧 Backfill - doplnění polí: ${config.fields.join(", ")}\n`);
+
+  const unknown = config.fields.filter((field) => !(field in FIELD_EXTRACTORS));
+  if (unknown.length > 0 || config.fields.length === 0) {
+    throw new Error(`Neznámé pole: ${unknown.join(", ") || "(žádné)"} - podporovaná: ${Object.keys(FIELD_EXTRACTORS).join(", ")}`);
+  }
+
+  // 1. Načtení dat a checkpointu
+  const data = JSON.parse(await fs.readFile(config.files.mainJson, 'utf8'));
+  const state = await loadState();
+  const attempted = new Set(state.attempted);
+  console.log(`📊 Celkem položek: ${data.length}`);
+
+  // Ruční opravy (csfd_overrides.json) doplní pole bez stahování
+  const overridden = applyOverrides(data);
+  if (overridden > 0) console.log(`✏️ Ruční opravy použity u ${overridden} položek`);
+
+  // 2. Položky, kterým některé z polí chybí (a ještě se nezkoušely)
+  const candidates = data.filter((item) =>
+    !isDeleted(item) && matchesFilters(item, config.filters) && missingFields(item).length > 0
+  );
+  const pending = candidates.filter((item) => !attempted.has(csfdItemKey(item.url)));
+  console.log(`🔍 Položek s chybějícími poli: ${candidates.length}, z toho už zkoušených: ${candidates.length - pending.length}`);
+
+  if (pending.length === 0) {
+    await fs.rm(config.files.state, { force: true });
+    if (overridden > 0) {
+      await saveJson(config.files.mainJson, data);
+      await saveCsv(config.files.mainCsv, data);
+    }
+    console.log("✅ Všechny položky jsou doplněné nebo zkoušené! (--fresh zkusí neúspěšné znovu)");
+    return;
+  }
+
+  // 3. Omezení na maxItems
+  const itemsToFix = pending.slice(0, config.maxItems);
+  console.log(`🎯 Doplňuji ${itemsToFix.length} položek...\n`);
+
+  // 4. Vytvoření zálohy
+  await saveJson(config.files.backupJson, data);
+  console.log(`💾 Záloha vytvořena: ${config.files.backupJson}\n`);
+
+  const saveProgress = async () => {
+    await saveJson(config.files.mainJson, data);
+    await saveCsv(config.files.mainCsv, data);
+    await saveJson(config.files.state, { signature: stateSignature(), attempted: [...attempted], updatedAt: new Date().toISOString() });
+  };
+
+  // 5. Spuštění browseru
+  const { context, close } = await openContext({
+    transport: config.browser.transport,
+    headless: config.browser.headless,
+    userAgent: config.browser.userAgent,
+    args: ["--no-sandbox", "--disable-setuid-sandbox"],
+  });
+
+  // 6. Doplnění položek
+  const counts = Object.fromEntries(config.fields.map((field) => [field, { fixed: 0, failed: 0 }]));
+  let errors = 0;
+
+  try {
+    for (let i = 0; i < itemsToFix.length; i++) {
+      const item = itemsToFix[i];
+      const fields = missingFields(item);
+      console.log(`\n[${i + 1}/${itemsToFix.length}] ${item.title} (${item.year}) - ${fields.join(", ")}`);
+      console.log(`  URL: ${item.url}`);
+
+      try {
+        const details = await fetchFields(context, item, fields);
+        const scraped = [];
+
+        for (const field of fields) {
+          if (details[field]) {
+            item[field] = details[field];
+            scraped.push(field);
+            if (field === "imdb_id") {
+              const { imdb_url, imdb_match_source, imdb_match_score, imdb_candidates } = details;
+              Object.assign(item, { imdb_url, imdb_match_source, imdb_match_score, imdb_candidates });
+              scraped.push("imdb_url", "imdb_match_source", "imdb_match_score", "imdb_candidates");
+            }
+            counts[field].fixed++;
+            console.log(`  ✅ ${field}: ${details[field]}`);
+          } else {
+            counts[field].failed++;
+            console.log(`  ❌ ${field}: nenalezeno`);
+          }
+        }
+        if (details.creators && !item.creators) {
+          item.creators = details.creators;
+          scraped.push("creators");
+        }
+        // Ruční oprava (csfd_overrides.json) vyhraje i nad právě staženými hodnotami
+        applyOverride(item, overrideFor(item), { fresh: scraped });
+        attempted.add(csfdItemKey(item.url));
+      } catch (error) {
+        // Chyba stahování se do checkpointu nepočítá - příští běh to zkusí znovu
+        errors++;
+        fields.forEach((field) => counts[field].failed++);
+        console.log(`  ⚠️  Error: ${error.message}`);
+      }
+
+      // Průběžné uložení - přerušený běh pokračuje od checkpointu
+      if ((i + 1) % config.saveEvery === 0) await saveProgress();
+      await sleep(config.delays.detail);
+    }
+  } finally {
+    await close();
+  }
+
+  // 7. Uložení doplněných dat
+  await saveProgress();
+  console.log(`\n💾 Data uložena do ${config.files.mainJson} a ${config.files.mainCsv}`);
+
+  // 8. Souhrn
+  const remaining = pending.length - itemsToFix.length;
+  console.log(`\n📊 Souhrn:`);
+  for (const [field, { fixed, failed }] of Object.entries(counts)) {
+    console.log(`  ${field}: ✅ ${fixed} doplněno, ❌ ${failed} nenalezeno`);
+  }
+  if (errors > 0) console.log(`  ⚠️ Chyby stahování: ${errors}`);
+  console.log(`  📝 Celkem: ${itemsToFix.length}`);
+  if (remaining > 0) console.log(`  ⏭️ Zbývá: ${remaining} - spusť backfill znovu (pokračuje z ${config.files.state})`);
+  console.log(`\n✅ Hotovo!`);
+}
+
+main().catch(error => {
+  console.error("💥 FATAL ERROR:", error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,278 @@
+// Porovnání vkusu více ČSFD profilů
+// Spojí datasety profilů (data/ + data/users/<user>/) podle ČSFD ID, případně IMDb ID,
+// vypíše překryv, shodu hodnocení, korelaci, tituly, které jeden miluje a druhý neviděl,
+// a největší neshody. Výstup: spojený CSV/JSON s jedním sloupcem hodnocení na profil.
+
+import fs from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import {
+  LIST_FIELDS,
+  DETAIL_FIELDS,
+  csfdItemKey,
+  isDeleted,
+  cliOption,
+  parseCsfdUser,
+  profileDataDir,
+  listProfiles,
+  toCsv,
+  saveJson,
+  writeFileAtomic,
+} from "./csfd_core.mjs";
+
+/** ────────────────────────────────
+ *  CONFIG
+ *  ──────────────────────────────── */
+const config = {
+  outputDir: cliOption("out", null, "data/compare"),
+  listLimit: 10,      // Kolik titulů vypsat v seznamech (miluje/neviděl, neshody)
+  lovedRating: 5,     // Co je "miluje"
+};
+
+const log = (msg, ...args) => console.log(msg, ...args);
+
+// ČSFD "odpad!" se parsuje jako prázdné hodnocení - pro porovnání je to 0
+export const ratingValue = (rating) => Number(rating || 0);
+
+export const ratingColumn = (user) => `rating_${user}`;
+export const ratingDateColumn = (user) => `ratingDate_${user}`;
+
+/** ────────────────────────────────
+ *  MERGE
+ *  ──────────────────────────────── */
+
+/**
+ * Join profiles ([{ user, items }]) into one record per title.
+ * Primary key is the ČSFD ID; titles rated under different ČSFD entries are
+ * joined by IMDb ID only when the type matches and the ID is unique in both
+ * datasets (episodes often carry their series' IMDb ID).
+ */
+export function mergeProfiles(profiles) {
+  const entries = [];
+  const byKey = new Map();
+  const byImdb = new Map();
+
+  const uniqueImdbIds = (items) => {
+    const counts = new Map();
+    items.forEach((item) => item.imdb_id && counts.set(item.imdb_id, (counts.get(item.imdb_id) || 0) + 1));
+    return new Set([...counts].filter(([, n]) => n === 1).map(([id]) => id));
+  };
+
+  for (const { user, items } of profiles) {
+    const active = items.filter((item) => !isDeleted(item));
+    const unique = uniqueImdbIds(active);
+
+    for (const item of active) {
+      const key = csfdItemKey(item.url);
+      let entry = byKey.get(key);
+
+      if (!entry && unique.has(item.imdb_id)) {
+        const candidate = byImdb.get(item.imdb_id);
+        if (candidate && candidate.record.type === item.type && !(user in candidate.ratings)) entry = candidate;
+      }
+
+      if (!entry) {
+        entry = { record: { ...item }, ratings: {} };
+        entries.push(entry);
+        if (unique.has(item.imdb_id) && !byImdb.has(item.imdb_id)) byImdb.set(item.imdb_id, entry);
+      }
+
+      if (!byKey.has(key)) byKey.set(key, entry);
+
+      // Duplicitní záznam stejného titulu v jednom datasetu - první (nejnovější) vyhrává
+      if (user in entry.ratings) continue;
+      entry.ratings[user] = { rating: item.rating, ratingDate: item.ratingDate };
+
+      // Chybějící detailová pole doplň z dalšího profilu
+      for (const field of DETAIL_FIELDS) {
+        if (!entry.record[field] && item[field]) entry.record[field] = item[field];
+      }
+    }
+  }
+
+  return entries;
+}
+
+/** Flat combined rows in record shape with rating/ratingDate column per user */
+export function combinedRows(entries, users) {
+  return entries.map(({ record, ratings }) => {
+    const row = {};
+    for (const field of LIST_FIELDS) {
+      if (field !== "rating" && field !== "ratingDate") row[field] = record[field] || "";
+    }
+    for (const user of users) {
+      row[ratingColumn(user)] = ratings[user]?.rating ?? "";
+      row[ratingDateColumn(user)] = ratings[user]?.ratingDate ?? "";
+    }
+    for (const field of DETAIL_FIELDS) row[field] = record[field] || "";
+    return row;
+  });
+}
+
+export const combinedHeader = (users) => [
+  ...LIST_FIELDS.filter((f) => f !== "rating" && f !== "ratingDate"),
+  ...users.flatMap((user) => [ratingColumn(user), ratingDateColumn(user)]),
+  ...DETAIL_FIELDS,
+];
+
+/** ────────────────────────────────
+ *  TASTE COMPARISON
+ *  ──────────────────────────────── */
+export function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const mean = (v) => v.reduce((a, b) => a + b, 0) / n;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  return vx && vy ? cov / Math.sqrt(vx * vy) : null;
+}
+
+const summary = ({ record }) => ({ title: record.title, year: record.year, type: record.type, url: record.url });
+
+/** Overlap, agreement, correlation, loved-but-unseen and disagreements for one pair */
+export function compareRatings(entries, userA, userB, { limit = config.listLimit, loved = config.lovedRating } = {}) {
+  const ratedA = entries.filter((e) => userA in e.ratings);
+  const ratedB = entries.filter((e) => userB in e.ratings);
+  const both = ratedA.filter((e) => userB in e.ratings);
+
+  const a = both.map((e) => ratingValue(e.ratings[userA].rating));
+  const b = both.map((e) => ratingValue(e.ratings[userB].rating));
+  const diffs = a.map((v, i) => Math.abs(v - b[i]));
+  const round = (v, digits = 3) => (v === null ? null : Number(v.toFixed(digits)));
+
+  const lovedUnseen = (lover, other) =>
+    entries
+      .filter((e) => lover in e.ratings && !(other in e.ratings) && ratingValue(e.ratings[lover].rating) >= loved)
+      .slice(0, limit)
+      .map(summary);
+
+  const disagreements = both
+    .map((e, i) => ({ ...summary(e), [userA]: a[i], [userB]: b[i], diff: diffs[i] }))
+    .filter((d) => d.diff > 0)
+    .sort((x, y) => y.diff - x.diff)
+    .slice(0, limit);
+
+  return {
+    users: [userA, userB],
+    rated: { [userA]: ratedA.length, [userB]: ratedB.length },
+    overlap: both.length,
+    overlapShare: round(both.length / (ratedA.length + ratedB.length - both.length || 1)),
+    exactAgreement: both.length ? round(diffs.filter((d) => d === 0).length / both.length) : null,
+    withinOneStar: both.length ? round(diffs.filter((d) => d <= 1).length / both.length) : null,
+    meanAbsoluteDifference: both.length ? round(diffs.reduce((s, d) => s + d, 0) / both.length) : null,
+    correlation: round(pearson(a, b)),
+    lovedUnseen: { [userA]: lovedUnseen(userA, userB), [userB]: lovedUnseen(userB, userA) },
+    biggestDisagreements: disagreements,
+  };
+}
+
+/** ────────────────────────────────
+ *  REPORT
+ *  ──────────────────────────────── */
+const pct = (v) => (v === null ? "-" : `${(v * 100).toFixed(1)}%`);
+
+function printPair(result) {
+  const [userA, userB] = result.users;
+  log(`\n👥 ${userA} × ${userB}`);
+  log(`   Hodnocení: ${result.rated[userA]} × ${result.rated[userB]}, společných ${result.overlap} (${pct(result.overlapShare)} sjednocení)`);
+  log(`   Stejné hodnocení: ${pct(result.exactAgreement)}, do 1⭐: ${pct(result.withinOneStar)}, průměrný rozdíl: ${result.meanAbsoluteDifference ?? "-"}⭐`);
+  log(`   Korelace (Pearson): ${result.correlation ?? "-"}`);
+
+  for (const [lover, other] of [[userA, userB], [userB, userA]]) {
+    const titles = result.lovedUnseen[lover];
+    if (!titles.length) continue;
+    log(`   ❤️ ${lover} miluje, ${other} neviděl:`);
+    titles.forEach((t) => log(`      - ${t.title} (${t.year})`));
+  }
+
+  if (result.biggestDisagreements.length) {
+    log("   ⚡ Největší neshody:");
+    result.biggestDisagreements.forEach((d) =>
+      log(`      - ${d.title} (${d.year}): ${userA} ${d[userA]}⭐ × ${userB} ${d[userB]}⭐`)
+    );
+  }
+}
+
+/** ────────────────────────────────
+ *  MAIN
+ *  ──────────────────────────────── */
+async function loadProfiles() {
+  const requested = cliOption("users", null, "");
+  const candidates = requested
+    ? requested.split(",").filter(Boolean).map((u) => {
+        const user = parseCsfdUser(u);
+        return { user, dataDir: profileDataDir(user) };
+      })
+    : await listProfiles();
+
+  const profiles = [];
+  for (const { user, dataDir } of candidates) {
+    try {
+      const items = JSON.parse(await fs.readFile(`${dataDir}/csfd_ratings.json`, "utf8"));
+      profiles.push({ user, items });
+      log(`📁 ${user}: ${items.filter((i) => !isDeleted(i)).length} hodnocení (${dataDir}/)`);
+    } catch {
+      log(`⚠️ ${user}: dataset ${dataDir}/csfd_ratings.json nenalezen - přeskakuji`);
+    }
+  }
+  return profiles;
+}
+
+async function main() {
+  if (process.argv.includes("--help")) {
+    log(`
+Porovnání ČSFD profilů - Použití:
+  node compare_profiles.mjs [--users a,b,...] [--out DIR]
+
+  --users LIST   Profily k porovnání (výchozí: všechny z csfd_config.json a data/users/)
+  --out DIR      Výstupní složka (výchozí data/compare)
+`);
+    return;
+  }
+
+  log("👥 Porovnání ČSFD profilů");
+  const profiles = await loadProfiles();
+  if (profiles.length < 2) {
+    log("❌ Potřeba aspoň 2 profily s datasetem (viz --users nebo csfd_config.json)");
+    process.exitCode = 1;
+    return;
+  }
+
+  const users = profiles.map((p) => p.user);
+  const entries = mergeProfiles(profiles);
+
+  const pairs = [];
+  for (let i = 0; i < users.length; i++) {
+    for (let j = i + 1; j < users.length; j++) {
+      const result = compareRatings(entries, users[i], users[j]);
+      printPair(result);
+      pairs.push(result);
+    }
+  }
+
+  const rows = combinedRows(entries, users);
+  const files = {
+    json: `${config.outputDir}/combined_ratings.json`,
+    csv: `${config.outputDir}/combined_ratings.csv`,
+    report: `${config.outputDir}/taste_report.json`,
+  };
+  await saveJson(files.json, rows);
+  await writeFileAtomic(files.csv, toCsv(rows, combinedHeader(users)));
+  await saveJson(files.report, { generatedAt: new Date().toISOString(), users, titles: rows.length, pairs });
+
+  log(`\n💾 ${rows.length} titulů → ${files.csv} & ${files.json}, report → ${files.report}`);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error("💥 FATAL ERROR:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,73 @@
+// Převod datasetu mezi současným formátem (samé řetězce) a schématem v2
+// (schema/csfd_ratings.v2.schema.json - pole, čísla, ISO data).
+//
+//   node convert_schema.mjs                          # data/csfd_ratings.json → data/csfd_ratings.v2.json
+//   node convert_schema.mjs --in X.json --out Y.json
+//   node convert_schema.mjs --in data/csfd_ratings.v2.json --legacy-csv out.csv [--legacy-json out.json]
+
+import fs from "node:fs/promises";
+import {
+  cliOption,
+  resolveProfile,
+  isDeleted,
+  toV2Document,
+  fromV2Document,
+  SCHEMA_VERSION,
+  saveJson,
+  saveCsv,
+} from "./csfd_core.mjs";
+
+const { dataDir } = resolveProfile(); // --user / --data-dir
+
+const config = {
+  input: cliOption("in", null, `${dataDir}/csfd_ratings.json`),
+  output: cliOption("out", null, `${dataDir}/csfd_ratings.v2.json`),
+  legacyCsv: cliOption("legacy-csv", null, ""),
+  legacyJson: cliOption("legacy-json", null, ""),
+};
+
+const log = (msg, ...args) => console.log(msg, ...args);
+
+async function main() {
+  if (process.argv.includes("--help")) {
+    log(`
+Převod schématu - Použití:
+  node convert_schema.mjs [--in FILE] [--out FILE]
+  node convert_schema.mjs --in FILE.v2.json --legacy-csv FILE.csv [--legacy-json FILE.json]
+
+  --in FILE           Vstup (výchozí ${dataDir}/csfd_ratings.json)
+  --out FILE          Výstup v${SCHEMA_VERSION} (výchozí ${dataDir}/csfd_ratings.v2.json)
+  --legacy-csv FILE   Ze vstupu v${SCHEMA_VERSION} zapiš původní CSV
+  --legacy-json FILE  Ze vstupu v${SCHEMA_VERSION} zapiš původní JSON
+`);
+    return;
+  }
+
+  const input = JSON.parse(await fs.readFile(config.input, "utf8"));
+
+  // v2 → původní formát
+  if (config.legacyCsv || config.legacyJson) {
+    const items = fromV2Document(input);
+    if (config.legacyCsv) await saveCsv(config.legacyCsv, items);
+    if (config.legacyJson) await saveJson(config.legacyJson, items);
+    log(`💾 ${items.length} záznamů v${SCHEMA_VERSION} → ${[config.legacyCsv, config.legacyJson].filter(Boolean).join(" & ")}`);
+    return;
+  }
+
+  if (!Array.isArray(input)) {
+    throw new Error(`${config.input} není dataset v původním formátu (pole záznamů)`);
+  }
+
+  const doc = toV2Document(input);
+  await saveJson(config.output, doc);
+
+  const active = doc.items.filter((item) => !isDeleted(item));
+  const missingDates = active.filter((item) => !item.ratingDate).length;
+  log(`💾 ${doc.items.length} záznamů → ${config.output} (schéma v${SCHEMA_VERSION})`);
+  if (missingDates) log(`⚠️ ${missingDates} záznamů bez platného ratingDate (null)`);
+}
+
+main().catch((error) => {
+  console.error("💥 FATAL ERROR:", error.message);
+  process.exit(1);
+});
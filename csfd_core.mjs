@@ -0,0 +1,1724 @@
+// Sdílené jádro ČSFD scraperů
+// List parser, detail extractors, IMDb search and output writers used by
+// scrape_csfd.mjs, incremental_scraper.mjs and backfill_fields.mjs.
+//
+// Extractors only touch the page through $, $$eval, $eval, content() and url()
+// so they stay independent of the transport that produced the page.
+
+import fs from "node:fs/promises";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { titleSimilarity, romanizationVariants } from "./title_match.mjs";
+
+/** ────────────────────────────────
+ *  CONFIG
+ *  ──────────────────────────────── */
+const settings = {
+  verbose: false,
+  log: (msg, ...args) => console.log(msg, ...args),
+  debugDir: "debug",
+
+  // Kam scrapery chodí - lze přesměrovat na lokální mock (mock_server.mjs)
+  origins: {
+    csfd: "https://www.csfd.cz",
+    imdb: "https://www.imdb.com",
+  },
+
+  delays: {
+    detailSettle: 2000,  // Čekání na JavaScript na detailu
+    parentSettle: 400,
+    imdbSettle: 2000,
+    retry: 1500,
+  },
+
+  limits: {
+    genres: 5,           // Max 5 žánrů
+    cast: 8,             // Max 8 herců v plochém sloupci cast (creators.actors jsou všichni)
+    description: 250,    // cca 2-3 věty
+  },
+
+  // Ruční opravy z csfd_overrides.json (loadOverrides) - search_titles pro IMDb hledání
+  overrides: new Map(),
+
+  // Offline IMDb index z title.basics (imdb_index.mjs) - první strategie před živým hledáním
+  imdbIndex: null,
+};
+
+/** Override core settings (verbose, log, debugDir, origins, delays, limits, overrides, imdbIndex) */
+export function configure(options = {}) {
+  const { origins, delays, limits, ...rest } = options;
+  Object.assign(settings, rest);
+  if (origins) Object.assign(settings.origins, origins);
+  if (delays) Object.assign(settings.delays, delays);
+  if (limits) Object.assign(settings.limits, limits);
+  return settings;
+}
+
+const debug = (msg, ...args) => {
+  if (settings.verbose) settings.log(msg, ...args);
+};
+
+/** ────────────────────────────────
+ *  RUN OPTIONS (CLI / ENV)
+ *  ──────────────────────────────── */
+
+/** Value of `--name value` from argv, else env[envName], else fallback */
+export function cliOption(name, envName, fallback = "", argv = process.argv, env = process.env) {
+  const idx = argv.indexOf(`--${name}`);
+  if (idx >= 0 && argv[idx + 1]) return argv[idx + 1];
+  return (envName && env[envName]) || fallback;
+}
+
+/**
+ * ČSFD/IMDb origins for this run: --base-url / CSFD_BASE_URL and
+ * --imdb-base-url / CSFD_IMDB_BASE_URL, defaults to the live sites.
+ */
+export function resolveOrigins(argv = process.argv, env = process.env) {
+  const origin = (value) => new URL(value).origin;
+  return {
+    csfd: origin(cliOption("base-url", "CSFD_BASE_URL", settings.origins.csfd, argv, env)),
+    imdb: origin(cliOption("imdb-base-url", "CSFD_IMDB_BASE_URL", settings.origins.imdb, argv, env)),
+  };
+}
+
+/** ────────────────────────────────
+ *  PROFILES (whose ratings are scraped)
+ *  ──────────────────────────────── */
+export const DEFAULT_USER = "2544-ludivitto";
+export const RUN_CONFIG_FILE = "csfd_config.json";
+
+/** csfd_config.json: { user, profiles } - missing file means built-in defaults */
+export function loadRunConfig(file = RUN_CONFIG_FILE) {
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw new Error(`Invalid ${file}: ${e.message}`);
+  }
+}
+
+/** "2544-ludivitto", "2544" or a profile URL → user path segment ("2544-ludivitto") */
+export function parseCsfdUser(value) {
+  const raw = String(value || "").trim();
+  const m = raw.match(/uzivatel\/(\d+(?:-[\w-]+)?)/) || raw.match(/^(\d+(?:-[\w-]+)?)\/?$/);
+  if (!m) throw new Error(`Invalid ČSFD user "${raw}" (expected e.g. 2544-ludivitto or a profile URL)`);
+  return m[1];
+}
+
+const sameUser = (a, b) => a.split("-")[0] === b.split("-")[0];
+
+/** Primary profile keeps data/ (published dataset), others get data/users/<user>/ */
+export function profileDataDir(user, config = loadRunConfig()) {
+  const primary = parseCsfdUser(config.user || DEFAULT_USER);
+  return sameUser(user, primary) ? "data" : `data/users/${user}`;
+}
+
+export const profileRatingsUrl = (origin, user) => `${origin}/uzivatel/${user}/hodnoceni/`;
+export const profileReviewsUrl = (origin, user) => `${origin}/uzivatel/${user}/recenze/`;
+export const profileWatchlistUrl = (origin, user) => `${origin}/uzivatel/${user}/chci-videt/`;
+
+/**
+ * Profile for this run: --user / CSFD_USER / csfd_config.json "user" / DEFAULT_USER.
+ * --data-dir / CSFD_DATA_DIR still overrides the per-user output directory.
+ */
+export function resolveProfile(argv = process.argv, env = process.env) {
+  const config = loadRunConfig();
+  const user = parseCsfdUser(cliOption("user", "CSFD_USER", config.user || DEFAULT_USER, argv, env));
+  const dataDir = cliOption("data-dir", "CSFD_DATA_DIR", profileDataDir(user, config), argv, env);
+  return { user, dataDir: dataDir.replace(/\/+$/, "") };
+}
+
+/** All known profiles: primary, csfd_config.json "profiles" and scraped data/users/* */
+export async function listProfiles() {
+  const config = loadRunConfig();
+  const users = [config.user || DEFAULT_USER, ...(config.profiles || [])].map(parseCsfdUser);
+  try {
+    const entries = await fs.readdir("data/users", { withFileTypes: true });
+    users.push(...entries.filter((e) => e.isDirectory()).map((e) => parseCsfdUser(e.name)));
+  } catch {}
+
+  const unique = users.filter((user, i) => users.findIndex((u) => sameUser(u, user)) === i);
+  return unique.map((user) => ({ user, dataDir: profileDataDir(user, config) }));
+}
+
+/** ────────────────────────────────
+ *  MANUAL OVERRIDES (csfd_overrides.json)
+ *  ──────────────────────────────── */
+// Ruční opravy, které přežijí i plný rescrape - ČSFD URL → pole záznamu:
+//   { "https://www.csfd.cz/film/1450809-mistr-a-marketka/": {
+//       "imdb_id": "tt…", "original_title": "Master i Margarita",
+//       "search_titles": ["The Master and Margarita"], "note": "hledání našlo seriál z 2005" } }
+// search_titles jsou jen další názvy pro IMDb hledání, note je komentář.
+export const OVERRIDES_FILE = "csfd_overrides.json";
+const OVERRIDE_META_KEYS = ["search_titles", "note"];
+
+export const resolveOverridesFile = (argv = process.argv, env = process.env) =>
+  cliOption("overrides", "CSFD_OVERRIDES", OVERRIDES_FILE, argv, env);
+
+/** csfd_overrides.json → Map(csfdItemKey → { url, ...fields }); missing file means no overrides */
+export function loadOverrides(file = resolveOverridesFile()) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return new Map();
+    throw new Error(`Invalid ${file}: ${e.message}`);
+  }
+  return new Map(Object.entries(raw).map(([url, override]) => [csfdItemKey(url), { ...override, url }]));
+}
+
+export const overrideFor = (item, overrides = settings.overrides) =>
+  (item?.url && overrides?.get(csfdItemKey(item.url))) || null;
+
+/** Fields an override sets (without url/search_titles/note) */
+export function overrideFields(override) {
+  return Object.fromEntries(
+    Object.entries(override || {}).filter(([key]) => key !== "url" && !OVERRIDE_META_KEYS.includes(key))
+  );
+}
+
+/**
+ * Apply an override after enrichment. The scraper's own value of every overridden
+ * field is kept in item.overridden (fresh = the values were just scraped, or a list
+ * of the fields that were; otherwise only the first application records them) so
+ * the validator can spot overrides the scraper no longer needs. Returns the changed field names.
+ */
+export function applyOverride(item, override, { fresh = false } = {}) {
+  const fields = overrideFields(override);
+  if (Object.keys(fields).length === 0) return [];
+
+  const overridden = { ...(item.overridden || {}) };
+  const changed = [];
+  const set = (field, value) => {
+    if (item[field] === value) return;
+    item[field] = value;
+    changed.push(field);
+  };
+
+  for (const [field, value] of Object.entries(fields)) {
+    const scraped = Array.isArray(fresh) ? fresh.includes(field) : fresh;
+    if (scraped || !(field in overridden)) overridden[field] = item[field] ?? "";
+    set(field, value);
+  }
+  if (fields.imdb_id) {
+    if (!fields.imdb_url) set("imdb_url", imdbTitleUrl(fields.imdb_id));
+    set("imdb_match_source", "override");
+    set("imdb_match_score", "1");
+  }
+  item.overridden = overridden;
+  return changed;
+}
+
+/** Apply overrides to every matching record; returns the number of changed records */
+export function applyOverrides(items, overrides = settings.overrides, options = {}) {
+  if (!overrides?.size) return 0;
+  return items.filter((item) => applyOverride(item, overrideFor(item, overrides), options).length > 0).length;
+}
+
+/** Point a stored ČSFD URL at the configured origin (live site or mock) */
+export function csfdUrl(url) {
+  try {
+    const u = new URL(url, settings.origins.csfd);
+    return `${settings.origins.csfd}${u.pathname}${u.search}`;
+  } catch {
+    return url;
+  }
+}
+
+/** ────────────────────────────────
+ *  RECORD SHAPE
+ *  ──────────────────────────────── */
+export const LIST_FIELDS = ["title", "year", "type", "rating", "ratingDate", "url"];
+
+// Série/epizoda → seriál podle ČSFD cesty (titleHierarchy), u filmů a seriálů prázdné
+export const HIERARCHY_FIELDS = [
+  "parent_url",  // Titul o úroveň výš ("https://www.csfd.cz/film/1513493-pluribus/")
+  "series_url",  // Seriál na vrcholu cesty - u dvouúrovňových URL totéž co parent_url
+];
+
+export const DETAIL_FIELDS = [
+  "imdb_id",
+  "imdb_url",
+  "original_title",
+  "genre",
+  "director",
+  "cast",
+  "description",
+  "csfd_rating",   // Průměr komunity v % ("89")
+  "csfd_votes",    // Počet hodnocení ("118537")
+  "csfd_rank",     // Pozice v žebříčcích ("11. nejlepší film; 6. nejoblíbenější film")
+  "country",       // Země původu ("USA / Velká Británie / Kanada")
+  "runtime",       // Stopáž v minutách ("169")
+  "premiere_cz",   // Nejdřívější česká premiéra ("06.11.2014")
+  "imdb_match_source", // Odkud je imdb_id (IMDB_MATCH_SOURCES)
+  "imdb_match_score",  // Jistota shody 0-1 ("0.83"), pod IMDB_REVIEW_SCORE ke kontrole
+  "series_imdb_id",    // Série/epizoda: IMDb ID seriálu ("tt11198330")
+  "season_number",     // Číslo série ("2") - z URL/názvu nebo kódu S02E01
+  "episode_number",    // Číslo epizody ("1")
+];
+
+// Tvůrci z #creators podle nadpisu skupiny - jen v JSON (pole creators),
+// CSV drží ploché director (první režisér) a cast (prvních 8 herců)
+export const CREATOR_ROLES = {
+  directors: /^Režie/i,
+  screenplay: /^Scénář/i,
+  novel: /^Předloha/i,
+  camera: /^Kamera/i,
+  music: /^Hudba/i,
+  actors: /^Hrají/i,
+};
+
+// Pole z řádku původu a premiér - backfill starších záznamů (migrate_origin_fields.mjs)
+export const ORIGIN_FIELDS = ["country", "runtime", "premiere_cz"];
+
+// Recenze z /recenze/ stránek profilu (volitelný crawl, scrape_csfd.mjs --reviews)
+export const REVIEW_FIELDS = ["review", "reviewDate"];
+
+export const CSV_HEADER = [...LIST_FIELDS, ...DETAIL_FIELDS, ...HIERARCHY_FIELDS, ...REVIEW_FIELDS];
+
+// "Chci vidět" - bez hodnocení, místo data hodnocení datum přidání
+export const WATCHLIST_FIELDS = ["title", "year", "type", "addedDate", "url"];
+
+export const WATCHLIST_CSV_HEADER = [...WATCHLIST_FIELDS, ...DETAIL_FIELDS, ...HIERARCHY_FIELDS];
+
+/** Empty enrichment placeholders in canonical field order (creators/candidates null until enriched) */
+export function emptyDetails() {
+  return { ...Object.fromEntries(DETAIL_FIELDS.map((f) => [f, ""])), creators: null, imdb_candidates: null };
+}
+
+/** Empty review placeholders - filled by the review crawl */
+export function emptyReview() {
+  return Object.fromEntries(REVIEW_FIELDS.map((f) => [f, ""]));
+}
+
+/** Pick only the review fields (e.g. for cache entries) */
+export function pickReview(source = {}) {
+  return Object.fromEntries(REVIEW_FIELDS.map((f) => [f, source[f] || ""]));
+}
+
+/** Pick only the enrichment fields (e.g. for cache entries) */
+export function pickDetails(source = {}) {
+  return {
+    ...Object.fromEntries(DETAIL_FIELDS.map((f) => [f, source[f] || ""])),
+    creators: source.creators || null,
+    imdb_candidates: source.imdb_candidates || null,
+  };
+}
+
+/** ────────────────────────────────
+ *  RATING HISTORY (rating_history, jen JSON)
+ *  ──────────────────────────────── */
+// Každý pozorovaný stav hodnocení { rating, ratingDate, seenAt }, od nejstaršího.
+// seenAt = kdy ho běh (nebo záloha při importu) viděl, null = stav z doby před historií.
+
+const sameRating = (a, b) => a.rating === b.rating && a.ratingDate === b.ratingDate;
+
+/** Append the item's current (or the given) rating state unless it equals the last entry; true when appended */
+export function appendRatingHistory(item, seenAt = new Date().toISOString(), state = item) {
+  const entry = { rating: state.rating || "", ratingDate: state.ratingDate || "", seenAt };
+  const history = item.rating_history || [];
+  if (history.length && sameRating(history.at(-1), entry)) return false;
+  item.rating_history = [...history, entry];
+  return true;
+}
+
+/**
+ * One timeline from several histories (replayed backups + what runs recorded since):
+ * sorted by seenAt (unknown first), consecutive identical states kept as the earliest sighting.
+ * A state without seenAt that another history saw at a known time is dropped - sorted
+ * first it would invent a change (run [3, 5] + backups [2, 3, 5] ≠ 3 → 2 → 3 → 5).
+ */
+export function mergeRatingHistory(...histories) {
+  const entries = histories.flat().filter(Boolean);
+  const timed = entries.filter((entry) => entry.seenAt);
+  return entries
+    .filter((entry) => entry.seenAt || !timed.some((other) => sameRating(other, entry)))
+    .sort((a, b) => (a.seenAt || "").localeCompare(b.seenAt || ""))
+    .reduce((timeline, entry) => {
+      if (!timeline.length || !sameRating(timeline.at(-1), entry)) timeline.push({ ...entry });
+      return timeline;
+    }, []);
+}
+
+/**
+ * Full rescrape: every title keeps its history from the previous dataset (a record
+ * from before the history starts with its old state) and gets the scraped state appended.
+ */
+export function carryRatingHistory(items, previous, seenAt = new Date().toISOString()) {
+  const byKey = new Map(previous.map((record) => [csfdItemKey(record.url), record]));
+  for (const item of items) {
+    const record = byKey.get(csfdItemKey(item.url));
+    if (record?.rating_history?.length) item.rating_history = record.rating_history;
+    else if (record) appendRatingHistory(item, null, record);
+    appendRatingHistory(item, seenAt);
+  }
+}
+
+/** ────────────────────────────────
+ *  GENERIC HELPERS
+ *  ──────────────────────────────── */
+export const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export async function withRetry(fn, maxRetries = 3, baseDelay = 1000, context = '') {
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (i === maxRetries - 1) {
+        debug(`[retry] ${context} failed after ${maxRetries} attempts: ${e.message}`);
+        throw e;
+      }
+      const delay = baseDelay * Math.pow(2, i);
+      debug(`[retry] ${context} attempt ${i + 1} failed, retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/** ────────────────────────────────
+ *  TITLE UTILITIES
+ *  ──────────────────────────────── */
+export function cleanTitle(title) {
+  if (!title || typeof title !== 'string') return '';
+  return title
+    .trim()
+    .replace(/\n\s*\(?více\)?$/i, '')          // "více" link on its own line (no brackets)
+    .replace(/\n\s*\([^()\n]*název\)$/i, '')   // "(festivalový název)", "(pracovní název)"
+    .replace(/\s+/g, ' ')                    // Normalize whitespace
+    .replace(/\s*\(více\)\s*$/i, '')         // Remove "(více)"
+    .trim();
+}
+
+// JSON má "Komedie  Krimi" (dvojité mezery), CSV "Komedie / Krimi", starší extraktor "Komedie, Krimi"
+const GENRE_SEPARATOR = /\s*[/,\n]\s*|\s{2,}/;
+
+/** Genres in the canonical "Komedie / Krimi" form */
+export function normalizeGenre(genre) {
+  if (!genre || typeof genre !== 'string') return '';
+  return genre.split(GENRE_SEPARATOR).map((g) => g.trim()).filter(Boolean).join(' / ');
+}
+
+/**
+ * Type from the list row's info text ("(série)", "(epizoda)", "(seriál)"). With the URL,
+ * a title nested under another one is never a film/series: a "season-N" slug is a
+ * season, anything else an episode.
+ */
+export function normalizeFilmType(infoText, url = "") {
+  const low = String(infoText || "").toLowerCase();
+  const type = low.includes('série') ? 'season'
+    : low.includes('epizoda') ? 'episode'
+    : low.includes('seriál') ? 'series'
+    : 'film';
+  if (url && (type === 'film' || type === 'series') && parentTitleUrl(url)) return parseSeasonNumber(url) ? 'season' : 'episode';
+  return type;
+}
+
+export function extractYear(infoText) {
+  if (!infoText) return '';
+  const match = infoText.match(/\b(19\d{2}|20\d{2})\b/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Stable record key from a ČSFD URL: numeric film ID (+ episode/season ID).
+ * Slug renames and the optional "/prehled/" suffix don't change it.
+ */
+export function csfdItemKey(csfdUrl) {
+  const m = String(csfdUrl || "").match(/\/film\/(\d+)[^/]*\/(?:(\d+)[^/]*\/)?/);
+  if (!m) return String(csfdUrl || "");
+  return m[2] ? `${m[1]}/${m[2]}` : m[1];
+}
+
+/** Records whose rating was removed on ČSFD carry a deletedAt tombstone */
+export const isDeleted = (item) => Boolean(item?.deletedAt);
+
+/** Tombstoned records of the previous dataset that a full rescrape didn't find again (re-rated titles are in items) */
+export function carryTombstones(items, previous) {
+  const scraped = new Set(items.map((item) => csfdItemKey(item.url)));
+  return previous.filter((record) => isDeleted(record) && !scraped.has(csfdItemKey(record.url)));
+}
+
+/** For episodes/seasons/series: parent title page */
+export function parentTitleUrl(csfdUrl) {
+  try {
+    const u = new URL(csfdUrl);
+    const parts = u.pathname.split("/").filter(Boolean);
+    const ix = parts.findIndex((p) => p === "film");
+    // Jen skutečná série/epizoda ("/1252639-regent/"), ne záložka "/prehled/"
+    if (ix >= 0 && /^\d+/.test(parts[ix + 2] || "")) {
+      const parent = `/${parts.slice(0, ix + 2).join("/")}/`;
+      return `${u.origin}${parent}`;
+    }
+  } catch {}
+  return "";
+}
+
+/**
+ * parent_url/series_url of a ČSFD title from its path: the title one level up and the
+ * top-level series (the same for /film/<series>/<episode>/), both "" for top-level titles.
+ */
+export function titleHierarchy(csfdUrl) {
+  const series_url = parentTitleUrl(csfdUrl);
+  if (!series_url) return { parent_url: "", series_url: "" };
+  const u = new URL(csfdUrl);
+  const parts = u.pathname.split("/").filter(Boolean);
+  const ix = parts.indexOf("film");
+  const titles = parts.slice(ix + 1).filter((p) => /^\d+/.test(p)); // bez záložek "/prehled/"
+  return { parent_url: `${u.origin}/film/${titles.slice(0, -1).join("/")}/`, series_url };
+}
+
+// "/1802921-season-3/", "/1133236-serie-1/" a názvy "1670 - Season 3", "Banda - Série 5", "Dallas - 2. série"
+const SEASON_SLUG = /\/\d+-(?:season|serie|série)-(\d+)\/(?:prehled\/)?$/i;
+const SEASON_TITLE = /\s-\s(?:(?:season|s[ée]rie)\s+(\d+)|(\d+)\.\s*s[ée]rie)\s*$/i;
+const EPISODE_CODE = /\bS(\d{1,3})\s*E(\d{1,4})\b/i;
+
+/** Season number of a ČSFD season from its URL slug or title, "" when it has a name instead */
+export function parseSeasonNumber(csfdUrl, title = "") {
+  const m = String(csfdUrl || "").match(SEASON_SLUG) || String(title || "").match(SEASON_TITLE);
+  return m ? String(Number(m[1] || m[2])) : "";
+}
+
+/** "S02E01" / "(S2 E1)" → { season_number: "2", episode_number: "1" }, null without a code */
+export function parseEpisodeCode(text) {
+  const m = String(text || "").match(EPISODE_CODE);
+  return m ? { season_number: String(Number(m[1])), episode_number: String(Number(m[2])) } : null;
+}
+
+/** Canonical IMDb title URL for an ID */
+export const imdbTitleUrl = (id) => `https://www.imdb.com/title/${id}/`;
+
+/** IMDb has no season pages of its own - a season links to the series' episode list */
+export const imdbSeasonUrl = (seriesId, season) => `https://www.imdb.com/title/${seriesId}/episodes/?season=${season}`;
+
+/** imdb_url a record should have: the season's episode list when its imdb_id is the series, else the title page */
+export function imdbUrlFor(item) {
+  if (item.type === "season" && item.season_number && item.imdb_id === item.series_imdb_id) {
+    return imdbSeasonUrl(item.imdb_id, item.season_number);
+  }
+  return imdbTitleUrl(item.imdb_id);
+}
+
+const imdbRecord = (id, source) => ({
+  imdb_id: id,
+  imdb_url: imdbTitleUrl(id),
+  ...(source && { imdb_match_source: source }),
+});
+
+/** ────────────────────────────────
+ *  PAGE HELPERS
+ *  ──────────────────────────────── */
+
+/** Save page content/screenshot for debugging */
+export async function pageDump(page, tag) {
+  try {
+    await fs.mkdir(settings.debugDir, { recursive: true });
+    await page
+      .screenshot({ path: `${settings.debugDir}/screenshot_${tag}.png`, fullPage: true })
+      .catch(() => {});
+    const html = (await page.content().catch(() => "")) || "<no content>";
+    await fs
+      .writeFile(`${settings.debugDir}/page_${tag}.html`, html, "utf8")
+      .catch(() => {});
+  } catch {}
+}
+
+/** Cookie consent (Didomi) if present - cached per process */
+let cookiesAccepted = false;
+export async function acceptCookies(page) {
+  if (cookiesAccepted) return;
+
+  try {
+    const btnSel =
+      'button[id^="didomi-notice-agree-button"], #didomi-notice-agree-button';
+    const iframeSel = 'iframe[src*="didomi"]';
+
+    const btn = await page.$(btnSel);
+    if (btn) {
+      await btn.click({ timeout: 2000 }).catch(() => {});
+      cookiesAccepted = true;
+      debug('[cookies] accepted via direct button');
+      return;
+    }
+    const ifr = await page.$(iframeSel);
+    if (ifr) {
+      const frame = await ifr.contentFrame();
+      const fbtn = frame && (await frame.$(btnSel));
+      if (fbtn) {
+        await fbtn.click({ timeout: 2000 }).catch(() => {});
+        cookiesAccepted = true;
+        debug('[cookies] accepted via iframe');
+      }
+    }
+  } catch (e) {
+    debug(`[cookies] error: ${e.message}`);
+  }
+}
+
+/** ────────────────────────────────
+ *  CSFD LIST PAGE
+ *  ──────────────────────────────── */
+export const LIST_ROW_SELECTOR = '#snippet--ratings table.striped tbody tr';
+
+export const listPageUrl = (baseUrl, n) => (n === 1 ? baseUrl : `${baseUrl}?page=${n}`);
+
+/** Total ratings count from the profile header ("Hodnocení (3 767)"), or null */
+export async function extractRatingCountOnPage(page) {
+  try {
+    const texts = await page.$$eval(
+      '#snippet--ratings h2, .box-header h2, h2, .tab-nav a, nav a',
+      (els) => els.map((el) => el.textContent || "")
+    );
+    for (const text of texts) {
+      const m = text.match(/Hodnocen[íi]\s*\(([\d\s\u00a0]+)\)/i);
+      if (m) return Number(m[1].replace(/\D/g, ""));
+    }
+  } catch {}
+  return null;
+}
+
+/** Parse one paginated rating page into records with empty detail fields */
+export async function parseListPage(page, url, tag, rowSelector = LIST_ROW_SELECTOR) {
+  return withRetry(async () => {
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 90_000 });
+    await acceptCookies(page);
+
+    try {
+      await page.waitForSelector(rowSelector, { timeout: 20_000 });
+    } catch {
+      debug(`[parse] no content selector found on ${url}`);
+      await pageDump(page, tag || "noparse");
+      return [];
+    }
+
+    const rows = await page.$$eval(rowSelector, (trs) => {
+      // Helper functions - must be inline in page context
+      const cleanTitleInline = (title) => {
+        if (!title) return '';
+        return title.trim().replace(/\s+/g, ' ').replace(/\s*\(více\)\s*$/i, '').trim();
+      };
+
+      const out = [];
+      for (const tr of trs) {
+        const link = tr.querySelector(".name .film-title-name");
+        if (!link) continue;
+
+        const infoText = Array.from(tr.querySelectorAll(".film-title-info .info"))
+          .map((s) => (s.textContent || "").trim())
+          .join(" ");
+
+        const starsEl = tr.querySelector(".star-rating .stars");
+        const ratingMatch = (starsEl?.className || "").match(/stars-(\d)/);
+
+        out.push({
+          title: cleanTitleInline(link.textContent || ""),
+          infoText,
+          rating: ratingMatch ? ratingMatch[1] : "",
+          ratingDate: (tr.querySelector(".date-only")?.textContent || "").trim(),
+          url: link.getAttribute("href") || "",
+        });
+      }
+      return out;
+    });
+
+    if (!rows.length) {
+      debug(`[parse] no items found on ${url}`);
+      await pageDump(page, tag || "noparse");
+    }
+
+    const base = page.url() || url;
+    return rows.map((row) => {
+      const url = new URL(row.url, base).href;
+      return {
+        title: row.title,
+        year: extractYear(row.infoText),
+        type: normalizeFilmType(row.infoText, url),
+        rating: row.rating,
+        ratingDate: row.ratingDate,
+        url,
+        ...titleHierarchy(url),
+        ...emptyDetails(),
+        ...emptyReview(),
+      };
+    });
+  }, 2, settings.delays.retry, `parsing ${url}`);
+}
+
+/** ────────────────────────────────
+ *  CSFD WATCHLIST ("CHCI VIDĚT")
+ *  ──────────────────────────────── */
+export const WATCHLIST_ROW_SELECTOR = '#snippet--watchlist table.striped tbody tr, #snippet--wantToSee table.striped tbody tr';
+
+/** Same table layout as ratings, without stars; the date column is when it was added */
+export async function parseWatchlistPage(page, url, tag) {
+  const rows = await parseListPage(page, url, tag, WATCHLIST_ROW_SELECTOR);
+  return rows.map((row) => ({
+    title: row.title,
+    year: row.year,
+    type: row.type,
+    addedDate: row.ratingDate,
+    url: row.url,
+    parent_url: row.parent_url,
+    series_url: row.series_url,
+    ...pickDetails(row),
+  }));
+}
+
+/** Split the watchlist into still unrated items and items rated since (matched by ČSFD ID) */
+export function splitWatchlist(watchlist, ratedItems) {
+  const rated = new Set(ratedItems.filter((item) => !isDeleted(item)).map((item) => csfdItemKey(item.url)));
+  const remaining = [];
+  const moved = [];
+  for (const item of watchlist) {
+    (rated.has(csfdItemKey(item.url)) ? moved : remaining).push(item);
+  }
+  return { remaining, moved };
+}
+
+/** ────────────────────────────────
+ *  CSFD REVIEW PAGE
+ *  ──────────────────────────────── */
+export const REVIEW_ROW_SELECTOR = '#snippet--reviews article, .user-reviews article';
+
+/** "2.8.2024" / datetime="2024-08-02T..." → "02.08.2024" (same format as ratingDate) */
+export function normalizeCsfdDate(text, datetime = "") {
+  const m = String(text || "").match(/(\d{1,2})\.\s*(\d{1,2})\.\s*(\d{4})/);
+  if (m) return `${m[1].padStart(2, "0")}.${m[2].padStart(2, "0")}.${m[3]}`;
+  const iso = String(datetime || "").match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return iso ? `${iso[3]}.${iso[2]}.${iso[1]}` : "";
+}
+
+/** Parse one paginated review page into { url, title, review, reviewDate } */
+export async function parseReviewPage(page, url, tag) {
+  return withRetry(async () => {
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 90_000 });
+    await acceptCookies(page);
+
+    try {
+      await page.waitForSelector(REVIEW_ROW_SELECTOR, { timeout: 20_000 });
+    } catch {
+      debug(`[reviews] no reviews found on ${url}`);
+      return [];
+    }
+
+    const rows = await page.$$eval(REVIEW_ROW_SELECTOR, (articles) =>
+      articles.map((article) => {
+        const link = article.querySelector(".film-title-name");
+        const time = article.querySelector("time");
+        const text = article.querySelector(".article-content .comment, .article-content p");
+        return {
+          title: (link?.textContent || "").trim(),
+          url: link?.getAttribute("href") || "",
+          review: text?.textContent || "",
+          dateText: (time?.textContent || "").trim(),
+          datetime: time?.getAttribute("datetime") || "",
+        };
+      })
+    );
+
+    if (!rows.length) await pageDump(page, tag || "noreviews");
+
+    const base = page.url() || url;
+    return rows
+      .filter((row) => row.url)
+      .map((row) => ({
+        title: cleanTitle(row.title),
+        url: new URL(row.url, base).href,
+        review: row.review.replace(/\s+/g, " ").trim(),
+        reviewDate: normalizeCsfdDate(row.dateText, row.datetime),
+      }))
+      .filter((row) => row.review);
+  }, 2, settings.delays.retry, `parsing reviews ${url}`);
+}
+
+/** ────────────────────────────────
+ *  CSFD DETAIL EXTRACTORS
+ *  ──────────────────────────────── */
+
+/** Extrakce žánru */
+export async function extractGenreOnPage(page) {
+  try {
+    const genresEl = await page.$('.genres');
+    if (genresEl) {
+      const text = (await genresEl.textContent())?.trim();
+      if (text) {
+        return normalizeGenre(text).split(' / ').slice(0, settings.limits.genres).join(' / ');
+      }
+    }
+  } catch {}
+  return "";
+}
+
+/** "USA / Velká Británie / Kanada, 2014, 169 min" nebo "Česko, (1999), 1 h 55 min" → { country, runtime } */
+export function parseOriginLine(text) {
+  const line = String(text || "").replace(/\s+/g, " ").trim();
+  const first = line.split(",")[0].trim();
+  const country = first && !/\d/.test(first) ? first : "";
+
+  // U seriálů je za celkovou stopáží ještě "(Minutáž: 25–35 min)" - bere se první údaj
+  let runtime = "";
+  const hours = line.match(/(\d+)\s*h(?:\s*(\d+)\s*min)?/);
+  const minutes = line.match(/(\d+)\s*min/);
+  if (hours) runtime = String(Number(hours[1]) * 60 + Number(hours[2] || 0));
+  else if (minutes) runtime = minutes[1];
+
+  return { country, runtime };
+}
+
+/** Extrakce země původu a stopáže z řádku .origin */
+export async function extractOriginOnPage(page) {
+  try {
+    const originEl = await page.$('.film-info-content .origin, .origin');
+    if (originEl) return parseOriginLine(await originEl.textContent());
+  } catch {}
+  return { country: "", runtime: "" };
+}
+
+/** Earliest Czech premiere (cinema, DVD, streaming...) as "dd.mm.yyyy" */
+export async function extractPremiereOnPage(page) {
+  try {
+    const rows = await page.$$eval('.box-premieres li, #premieres li, .film-premieres li', (lis) =>
+      lis.map((li) => {
+        const flag = li.querySelector("img.flag, .flag");
+        return {
+          country: flag?.getAttribute("title") || flag?.getAttribute("alt") || "",
+          text: (li.textContent || "").replace(/\s+/g, " ").trim(),
+        };
+      })
+    );
+
+    const dates = rows
+      .filter((row) => /česk/i.test(row.country))
+      .map((row) => normalizeCsfdDate(row.text))
+      .filter(Boolean)
+      .sort((a, b) => a.split(".").reverse().join("").localeCompare(b.split(".").reverse().join("")));
+    return dates[0] || "";
+  } catch {}
+  return "";
+}
+
+/** Celý blok #creators → { directors, screenplay, novel, camera, music, actors } (bez limitu) */
+export async function extractCreatorsOnPage(page) {
+  const creators = Object.fromEntries(Object.keys(CREATOR_ROLES).map((role) => [role, []]));
+  try {
+    const groups = await page.$$eval('#creators > div', (divs) =>
+      divs.map((div) => ({
+        label: (div.querySelector("h4")?.textContent || "").trim(),
+        // Jen odkazy na tvůrce - "více" rozbalovací odkazy ne
+        names: Array.from(div.querySelectorAll('a[href*="/tvurce/"]'))
+          .map((a) => (a.textContent || "").replace(/\s+/g, " ").trim())
+          .filter(Boolean),
+      }))
+    );
+
+    for (const { label, names } of groups) {
+      const role = Object.keys(CREATOR_ROLES).find((r) => CREATOR_ROLES[r].test(label));
+      if (role) creators[role].push(...names.filter((name) => !creators[role].includes(name)));
+    }
+  } catch {}
+  return creators;
+}
+
+/** Extrakce režiséra (první z #creators, jinak starší layouty); creators = už načtený blok tvůrců */
+export async function extractDirectorOnPage(page, creators) {
+  try {
+    const { directors } = creators || await extractCreatorsOnPage(page);
+    if (directors.length) return directors[0];
+
+    const selectors = [
+      '.creators .director a',
+      '.film-creator .director a',
+      '.film-header .director a',
+      '.film-info .director',
+      '[data-type="director"] a',
+    ];
+
+    for (const sel of selectors) {
+      const el = await page.$(sel);
+      if (el) {
+        const text = (await el.textContent())?.trim();
+        if (text) return text;
+      }
+    }
+
+    // Fallback - hledej v textu "Režie:"
+    const text = await page.$eval('body', el => el.textContent);
+    const match = text.match(/[Rr]ežie:\s*([^,\n]+)/);
+    if (match) return match[1].trim();
+  } catch {}
+  return "";
+}
+
+/** Extrakce herců (skupina "Hrají:", jinak poslední div před div.other-professions); creators jako u režie */
+export async function extractCastOnPage(page, creators) {
+  try {
+    const { actors: labelled } = creators || await extractCreatorsOnPage(page);
+    if (labelled.length) return labelled.slice(0, settings.limits.cast).join(", ");
+
+    // Najít #creators a pak poslední div bez třídy před div.other-professions
+    const actors = await page.$eval('#creators', (creators) => {
+      const otherProfessions = creators.querySelector('div.other-professions');
+      if (!otherProfessions) return [];
+
+      let castDiv = null;
+      let previousEl = otherProfessions.previousElementSibling;
+      while (previousEl) {
+        if (previousEl.tagName === 'DIV' && !previousEl.className) {
+          castDiv = previousEl;
+          break;
+        }
+        previousEl = previousEl.previousElementSibling;
+      }
+
+      if (!castDiv) return [];
+
+      const links = castDiv.querySelectorAll('a');
+      return Array.from(links).map(link => link.textContent?.trim()).filter(Boolean);
+    });
+
+    return actors.slice(0, settings.limits.cast).join(", ");
+  } catch {}
+  return "";
+}
+
+/** Clean and shorten a plot text (distributor notes, "(více)", length limit) */
+export function cleanDescription(text, maxLength = settings.limits.description) {
+  if (!text) return "";
+  const cleaned = text.replace(/\s+/g, ' ')
+                   .replace(/[“”]/g, '"')
+                   .replace(/\s*\([^)]+\)\s*\(více\)\s*$/, '') // Odstraň "(distributor) (více)"
+                   .replace(/\s*\(více\)\s*$/, '') // Odstraň "(více)"
+                   .trim();
+  return truncateDescription(cleaned, maxLength);
+}
+
+/** Shorten to the last sentence before the limit; already shortened text ("...") stays as is */
+export function truncateDescription(text, maxLength = settings.limits.description) {
+  if (!text || text.replace(/\.\.\.$/, '').length <= maxLength) return text || "";
+  // Najdi poslední tečku před limitem
+  const truncated = text.substring(0, maxLength);
+  const lastDot = truncated.lastIndexOf('.');
+  if (lastDot > 100) { // Pokud je tečka rozumně daleko
+    return truncated.substring(0, lastDot + 1);
+  }
+  return truncated + '...';
+}
+
+/** Extrakce popisu */
+export async function extractDescriptionOnPage(page) {
+  try {
+    const selectors = [
+      '.plot-preview',      // Hlavní selektor
+      '.plot-full',         // Fallback - plný popis
+      '.plot-short',        // Fallback - krátký popis
+      '.content .text',     // Alternativní layout
+      '.film-description',  // Starší layout
+      '.plot',              // Obecný plot
+      '#plots .content',    // ID-based selektor
+    ];
+
+    for (const selector of selectors) {
+      const plotEl = await page.$(selector);
+      if (plotEl) {
+        const text = (await plotEl.textContent())?.trim();
+        if (text && text.length > 10) {
+          debug(`[description] Found using selector: ${selector}`);
+          return cleanDescription(text);
+        }
+      }
+    }
+  } catch {}
+  return "";
+}
+
+/** Extract original title (multiple selectors + JSON-LD + text fallback) */
+export async function extractOriginalTitleOnPage(page) {
+  try {
+    const selectors = [
+      ".film-names li:first-child",           // NOVÝ layout ČSFD
+      ".film-header-name .film-names li",
+      ".film-names li",
+      ".film-header-name .original",
+      ".film-header-name .original-name",
+      ".names .original",
+      "span.original, span.original-name",
+      "h1 small",
+      '[data-testid="original-title"]',
+    ];
+    for (const sel of selectors) {
+      const el = await page.$(sel);
+      if (el) {
+        const t = cleanTitle(await el.textContent());
+        if (t) return t;
+      }
+    }
+
+    // JSON-LD fallback
+    const ldNodes = await page.$$eval(
+      'script[type="application/ld+json"]',
+      (ns) => ns.map((n) => n.textContent || "").filter(Boolean)
+    );
+    for (const raw of ldNodes) {
+      try {
+        const j = JSON.parse(raw);
+        const cand =
+          j.alternateName ||
+          j.originalTitle ||
+          (Array.isArray(j.name) ? j.name[1] : null);
+        if (typeof cand === "string" && cand.trim()) {
+          return cleanTitle(cand);
+        }
+      } catch {}
+    }
+
+    // Text fallback: lines containing "Originální název:"
+    const maybe = await page.$$eval("body *", (nodes) => {
+      const out = [];
+      for (const n of nodes) {
+        const txt = (n.textContent || "").trim();
+        if (!txt) continue;
+        if (/Originální\s*n[áa]zev/i.test(txt)) out.push(txt);
+      }
+      return out;
+    });
+    if (maybe.length) {
+      const m = maybe[0].match(/Originální\s*n[áa]zev[:\s]*(.+)/i);
+      if (m) return cleanTitle(m[1]);
+    }
+  } catch {}
+  return "";
+}
+
+/** ČSFD community rating: average %, vote count and chart positions (JSON-LD fallback) */
+export async function extractCommunityRatingOnPage(page) {
+  const result = { csfd_rating: "", csfd_votes: "", csfd_rank: "" };
+  try {
+    const texts = (selector) =>
+      page.$$eval(selector, (els) => els.map((el) => (el.textContent || "").replace(/\s+/g, " ").trim()));
+
+    // "89%" - bez dost hodnocení ČSFD ukazuje "?%"
+    const average = (await texts(".film-rating-average, .rating-average")).find(Boolean) || "";
+    result.csfd_rating = (average.match(/(\d{1,3})\s*%/) || [])[1] || "";
+
+    // "(118 537)" - mezery i nezlomitelné mezery jako oddělovač tisíců
+    const counter = (await texts(".box-film-ratings .counter, .box-rating-container .counter, .ratings-btn .counter")).find(Boolean) || "";
+    result.csfd_votes = counter.replace(/\D/g, "");
+
+    const ranks = (await texts(".film-ranking")).map((t) => t.replace(/\s*\(.*?\)\s*$/, "")).filter(Boolean);
+    result.csfd_rank = [...new Set(ranks)].join("; ");
+
+    if (!result.csfd_rating || !result.csfd_votes) {
+      const ldNodes = await page.$$eval('script[type="application/ld+json"]', (ns) => ns.map((n) => n.textContent || ""));
+      for (const raw of ldNodes) {
+        try {
+          const aggregate = JSON.parse(raw).aggregateRating;
+          if (!aggregate) continue;
+          if (!result.csfd_rating && aggregate.ratingValue != null) result.csfd_rating = String(Math.round(Number(aggregate.ratingValue)));
+          if (!result.csfd_votes && aggregate.ratingCount != null) result.csfd_votes = String(aggregate.ratingCount);
+        } catch {}
+      }
+    }
+  } catch {}
+  return result;
+}
+
+/** Personal rating (stars × 20, "odpad!" = 0) minus the community %, null without community data */
+export function communityDeviation(item) {
+  if (!item?.csfd_rating) return null;
+  return Number(item.rating || 0) * 20 - Number(item.csfd_rating);
+}
+
+/** Extract IMDb (robust: several selectors + HTML regex fallback) */
+export async function extractImdbOnPage(page) {
+  try {
+    if (settings.verbose) {
+      const allImdbLinks = await page.$$eval('a[href*="imdb"]', (links) =>
+        links.map((link) => link.getAttribute('href'))
+      );
+      debug(`[debug] Found ${allImdbLinks.length} IMDb links:`, allImdbLinks);
+    }
+
+    // 1) Direct links
+    const selectors = [
+      'a.button-imdb',                     // HLAVNÍ
+      '.button-imdb',
+      'a.button.button-imdb',
+      'a[href*="imdb.com/title/tt"]',
+      'a[href*="imdb.com/title/"]',
+      'a[href*="://www.imdb.com/title/"]',
+      'a.imdb',                            // STARÝ
+      '.imdb a',                           // STARÝ
+      'a[href*="imdb"]',                   // OBECNÝ
+    ];
+    for (const sel of selectors) {
+      const a = await page.$(sel);
+      if (a) {
+        const href = await a.getAttribute("href");
+        debug(`[debug] Found selector "${sel}" with href: ${href}`);
+        if (href) {
+          const m = new URL(href, page.url()).href.match(/(tt\d+)/i);
+          if (m) return imdbRecord(m[1], "csfd-link");
+        }
+      }
+    }
+
+    const html = await page.content();
+
+    // 2) IMDb link anywhere in the HTML
+    const m = html.match(/https?:\/\/(?:www\.)?imdb\.com\/title\/(tt\d+)/i);
+    if (m) return imdbRecord(m[1], "csfd-link");
+
+    // 3) Hidden data (data attributes, JSON scripts, inline JS)
+    const m2 = html.match(/\b(tt\d{6,})\b/i);
+    if (m2) {
+      debug(`[debug] Using hidden IMDb from HTML: ${m2[1]}`);
+      return imdbRecord(m2[1], "hidden-html");
+    }
+  } catch {}
+  return { imdb_id: "", imdb_url: "", imdb_match_source: "" };
+}
+
+/** Season/episode numbers of a loaded season or episode page: the "(S01E03)" code in the header, else the season slug/title */
+export async function extractEpisodeNumbersOnPage(page, item) {
+  try {
+    const header = await page.$eval(".film-header", (el) => el.textContent || "");
+    const code = parseEpisodeCode(header);
+    if (code) return code;
+  } catch {}
+  return { season_number: item.type === "season" ? parseSeasonNumber(item.url, item.title) : "", episode_number: "" };
+}
+
+/** ────────────────────────────────
+ *  IMDB SEARCH
+ *  ──────────────────────────────── */
+
+/** IMDb search selectors - structured for easy maintenance */
+const imdbSelectors = {
+  // Modern IMDb layout
+  modern: {
+    container: '.ipc-metadata-list-summary-item',
+    link: 'a[href*="/title/tt"]',
+    title: '.ipc-metadata-list-summary-item__t, .titleNameText, h3',
+    year: '.ipc-metadata-list-summary-item__li, .secondaryText'
+  },
+
+  // Legacy IMDb layout
+  legacy: {
+    container: '.findSection .findResult, .findList .findResult',
+    link: 'a[href*="/title/tt"]',
+    title: '.primaryText, .result_text a',
+    year: '.yearText, .text-muted'
+  }
+};
+
+/** Read title/year/id from one __NEXT_DATA__ search result */
+function readImdbResult(item) {
+  // NOVÁ STRUKTURA IMDB (listopad 2025) + starší varianty
+  const title = item.listItem?.originalTitleText || item.titleNameText || item.titleText?.text || item.titleText || '';
+  const displayTitle = item.listItem?.titleText || '';
+  return {
+    title,
+    titles: displayTitle && displayTitle !== title ? [title, displayTitle] : [title], // originální i anglický název
+    year: String(item.listItem?.releaseYear || item.titleReleaseText || item.releaseYear?.year || item.releaseYear || ''),
+    imdbId: item.index || item.id || '',
+  };
+}
+
+// Odkud pochází imdb_id - odkaz z ČSFD je jistý, hledání má skóre shody.
+// "imdb-dataset" = offline title.basics (imdb_index.mjs), "parent" = ID seriálu (série,
+// starší záznamy), "episode-list" = epizoda ze seznamu epizod seriálu na IMDb,
+// "search-alternate" = search_titles z csfd_overrides.json, "override" = ruční imdb_id
+export const IMDB_MATCH_SOURCES = ["csfd-link", "hidden-html", "imdb-dataset", "search-czech", "search-original", "search-alternate", "parent", "episode-list", "override"];
+
+// Skóre 0-1: rok 100 (±1 rok 50, neznámý 25) + název až 200 bodů z 300. Pod IMDB_REVIEW_SCORE
+// se shoda ukládá, ale je označená ke kontrole (manage_scraper.mjs imdb-review)
+const IMDB_SCORE_MAX = 300;
+const IMDB_TITLE_POINTS = 200;
+const IMDB_YEAR_POINTS = { exact: 100, near: 50, unknown: 25 };
+// Podobnost názvů (title_match.mjs) pod touto hranicí není shoda ("Good Morning, Brno!" ≠ "Good Morning, Vietnam", 0.7).
+// Stejně jako shoda jen části slov (TOKEN_SET_WEIGHT) - "Léon" / "Léon: The Professional" ještě projde
+const IMDB_MIN_TITLE_SIMILARITY = 0.75;
+export const IMDB_REVIEW_SCORE = 0.8;
+const IMDB_SOURCE_SCORES = { "csfd-link": 1, "hidden-html": 0.8 };
+
+// Kolik dalších kandidátů si k nalezené shodě pamatovat
+const IMDB_RUNNER_UPS = 3;
+
+/**
+ * Year part of the score. A missing year on either side gets partial credit only:
+ * the same title alone (a series searched without a year, a homonym) stays below
+ * IMDB_REVIEW_SCORE and is flagged for review.
+ */
+function imdbYearPoints(year, itemYear) {
+  if (!year || !itemYear) return IMDB_YEAR_POINTS.unknown;
+  const diff = Math.abs(Number(itemYear) - Number(year));
+  return diff === 0 ? IMDB_YEAR_POINTS.exact : diff === 1 ? IMDB_YEAR_POINTS.near : 0;
+}
+
+/**
+ * Score search candidates ({ imdbId, title, titles?, year }) against the searched title/year.
+ * Titles are compared by titleSimilarity (diacritics, articles, romanization, fuzzy);
+ * candidates below IMDB_MIN_TITLE_SIMILARITY are dropped - a year alone is not a match.
+ * Returns the best as { imdb_id, imdb_url, title, year, imdb_match_score, imdb_candidates } or null.
+ */
+export function scoreImdbCandidates(candidates, title, year) {
+  const scored = [];
+
+  for (const { imdbId, title: itemTitle, titles = [itemTitle], year: itemYear } of candidates.slice(0, 10)) {
+    if (!imdbId || !imdbId.startsWith('tt') || scored.some((c) => c.imdb_id === imdbId)) continue;
+
+    const similarity = Math.max(...titles.map((candidate) => titleSimilarity(title, candidate)));
+    if (similarity < IMDB_MIN_TITLE_SIMILARITY) continue;
+
+    const points = Math.round(similarity * IMDB_TITLE_POINTS) + imdbYearPoints(year, itemYear);
+    const score = Math.round(points / IMDB_SCORE_MAX * 100) / 100;
+    scored.push({ imdb_id: imdbId, title: itemTitle, year: itemYear, score });
+  }
+
+  if (scored.length === 0) return null;
+  scored.sort((a, b) => b.score - a.score);
+  const [best, ...runnerUps] = scored;
+  return {
+    ...imdbRecord(best.imdb_id),
+    title: best.title,
+    year: best.year,
+    imdb_match_score: best.score,
+    imdb_candidates: runnerUps.slice(0, IMDB_RUNNER_UPS),
+  };
+}
+
+/** Score IMDb __NEXT_DATA__ search results against the searched title/year */
+export function pickImdbResult(titleResults, title, year) {
+  return scoreImdbCandidates(titleResults.map(readImdbResult), title, year);
+}
+
+/** Low-confidence IMDb match that should be checked by hand (records without a score predate scoring) */
+export function needsImdbReview(item) {
+  if (!item?.imdb_id || item.imdb_match_score === "" || item.imdb_match_score == null) return false;
+  return Number(item.imdb_match_score) < IMDB_REVIEW_SCORE;
+}
+
+/** Čti IMDb data z __NEXT_DATA__ JSON */
+export async function tryImdbJsonData(page, searchTitle, targetYear) {
+  try {
+    const raw = await page.$eval('script#__NEXT_DATA__', (s) => s.textContent);
+    const data = JSON.parse(raw);
+    const titleResults = data?.props?.pageProps?.titleResults?.results || [];
+    const result = pickImdbResult(titleResults, searchTitle, targetYear);
+
+    if (result) {
+      debug(`[imdb-json] Found via JSON: ${result.title} (${result.year}) - ${result.imdb_id}, score ${result.imdb_match_score}`);
+    }
+    return result;
+  } catch (e) {
+    debug(`[imdb-json] JSON parsing failed: ${e.message}`);
+    return null;
+  }
+}
+
+/** Try a specific IMDb selector strategy - results are scored like the JSON ones */
+async function tryImdbSelector(page, selector, searchTitle, targetYear) {
+  try {
+    const candidates = await page.$$eval(selector.container, (results, sel) =>
+      results.slice(0, 10).map((result) => {
+        const href = result.querySelector(sel.link)?.getAttribute('href') || '';
+        const yearMatch = (result.querySelector(sel.year)?.textContent || '').match(/\b(19\d{2}|20\d{2})\b/);
+        return {
+          imdbId: href.match(/(tt\d+)/)?.[1] || '',
+          title: result.querySelector(sel.title)?.textContent?.trim() || '',
+          year: yearMatch ? yearMatch[1] : '',
+        };
+      }), selector);
+    return scoreImdbCandidates(candidates, searchTitle, targetYear);
+  } catch (e) {
+    debug(`[imdb-search] Selector failed: ${e.message}`);
+    return null;
+  }
+}
+
+/** Save IMDb search page for debugging */
+async function saveImdbSearchDebug(page) {
+  try {
+    await fs.mkdir(settings.debugDir, { recursive: true });
+    const html = await page.content();
+    const filename = `imdb_search_${Date.now()}.html`;
+    await fs.writeFile(`${settings.debugDir}/${filename}`, html, 'utf8');
+    debug(`[imdb-search] Search page saved to ${settings.debugDir}/`);
+  } catch {
+    // Silent fail for debug saves
+  }
+}
+
+/** Provede skutečné IMDb vyhledávání na nové stránce */
+async function performImdbSearch(searchTitle, year, context) {
+  const page = await context.newPage();
+
+  try {
+    const searchUrl = `${settings.origins.imdb}/find/?q=${encodeURIComponent(searchTitle)}&ref_=nv_sr_sm`;
+
+    await page.goto(searchUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
+    await page.waitForTimeout(settings.delays.imdbSettle);
+
+    if (settings.verbose) {
+      await saveImdbSearchDebug(page);
+    }
+
+    // Primárně __NEXT_DATA__ JSON, pak moderní a legacy selektory
+    return await tryImdbJsonData(page, searchTitle, year) ||
+           await tryImdbSelector(page, imdbSelectors.modern, searchTitle, year) ||
+           await tryImdbSelector(page, imdbSelectors.legacy, searchTitle, year);
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Live IMDb search for a title. Unless romanize is off (Czech titles), other
+ * transcriptions of the title are searched too while the match isn't confident.
+ */
+export async function searchImdbByTitle(originalTitle, year, context, { romanize = true } = {}) {
+  if (!originalTitle || originalTitle.length < 2) return { imdb_id: "", imdb_url: "" };
+
+  const cleanedTitle = cleanTitle(originalTitle);
+  if (!cleanedTitle) return { imdb_id: "", imdb_url: "" };
+
+  try {
+    debug(`[imdb-search] Searching for: "${cleanedTitle}" (${year})`);
+
+    let result = await performImdbSearch(cleanedTitle, year, context);
+
+    // Česká transkripce (japonština, ruština) nebo "Gekijouban" - zkus jiný přepis
+    for (const variant of romanize ? romanizationVariants(cleanedTitle) : []) {
+      if (result && result.imdb_match_score >= IMDB_REVIEW_SCORE) break;
+      debug(`[imdb-search] Trying romanization variant: "${variant}"`);
+      const found = await performImdbSearch(variant, year, context);
+      if (found && (!result || found.imdb_match_score > result.imdb_match_score)) result = found;
+    }
+
+    if (result) {
+      debug(`[imdb-search] Found: ${result.title} (${result.year}) - ${result.imdb_id}, score ${result.imdb_match_score}`);
+      const { imdb_id, imdb_url, imdb_match_score, imdb_candidates } = result;
+      return { imdb_id, imdb_url, imdb_match_score, imdb_candidates };
+    }
+
+    debug(`[imdb-search] No results found for "${cleanedTitle}"`);
+  } catch (e) {
+    debug(`[imdb-search] Failed to search: ${e.message}`);
+  }
+
+  return { imdb_id: "", imdb_url: "" };
+}
+
+/** ────────────────────────────────
+ *  IMDB EPISODES
+ *  ──────────────────────────────── */
+
+/** Read id/season/episode/title from one __NEXT_DATA__ episode list item */
+function readImdbEpisode(item) {
+  return {
+    imdb_id: item.id || "",
+    season: String(item.season || ""),
+    episode: String(item.episode || ""),
+    title: item.titleText?.text || item.titleText || "",
+  };
+}
+
+/**
+ * Episode list of one season of a series from IMDb (/title/<id>/episodes/?season=N, the
+ * first season without N) as [{ imdb_id, season, episode, title }], [] when it can't be read.
+ */
+export async function fetchImdbEpisodes(seriesId, season, context) {
+  const page = await context.newPage();
+  try {
+    const url = `${settings.origins.imdb}/title/${seriesId}/episodes/${season ? `?season=${season}` : ""}`;
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
+    await page.waitForTimeout(settings.delays.imdbSettle);
+
+    try {
+      const raw = await page.$eval('script#__NEXT_DATA__', (s) => s.textContent);
+      const items = JSON.parse(raw)?.props?.pageProps?.contentData?.section?.episodes?.items || [];
+      if (items.length) return items.map(readImdbEpisode).filter((e) => e.imdb_id);
+    } catch (e) {
+      debug(`[imdb-episodes] JSON parsing failed: ${e.message}`);
+    }
+
+    // Bez JSON: odkazy "S1.E3 ∙ Název" v seznamu epizod
+    const links = await page.$$eval('article.episode-item-wrapper a[href*="/title/tt"], .episode-item-wrapper a[href*="/title/tt"]', (as) =>
+      as.map((a) => ({ href: a.getAttribute('href') || '', text: (a.textContent || '').trim() })));
+    return links.flatMap(({ href, text }) => {
+      const m = text.match(/^S(\d+)\.E(\d+)\s*∙\s*(.*)$/);
+      const id = href.match(/(tt\d+)/)?.[1];
+      return m && id ? [{ imdb_id: id, season: m[1], episode: m[2], title: m[3] }] : [];
+    });
+  } catch (e) {
+    debug(`[imdb-episodes] Failed to load episodes of ${seriesId}: ${e.message}`);
+    return [];
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/**
+ * The ČSFD episode in an IMDb episode list: by season/episode number (score 1), else by
+ * the best title similarity of the given titles (original, Czech) above the match threshold.
+ */
+export function pickImdbEpisode(episodes, { season_number = "", episode_number = "" } = {}, titles = []) {
+  const inSeason = season_number ? episodes.filter((e) => e.season === season_number) : episodes;
+  const numbered = episode_number && inSeason.find((e) => e.episode === episode_number);
+  if (numbered) return { ...imdbRecord(numbered.imdb_id), imdb_match_score: 1, imdb_candidates: [] };
+
+  let best = null;
+  for (const episode of inSeason) {
+    const similarity = Math.max(0, ...titles.filter(Boolean).map((title) => titleSimilarity(title, episode.title)));
+    if (similarity >= IMDB_MIN_TITLE_SIMILARITY && (!best || similarity > best.similarity)) best = { episode, similarity };
+  }
+  if (!best) return null;
+  return { ...imdbRecord(best.episode.imdb_id), imdb_match_score: Math.round(best.similarity * 100) / 100, imdb_candidates: [] };
+}
+
+/** ────────────────────────────────
+ *  DETAIL ENRICHMENT
+ *  ──────────────────────────────── */
+const isSeriesChild = (type) => type === "episode" || type === "season";
+
+// Seriál se pro všechny své série a epizody dohledává jednou za běh
+const seriesImdbCache = new Map(); // ČSFD URL seriálu → { imdb_id, score, original_title }
+const episodeListCache = new Map(); // "tt…/2" → seznam epizod série
+
+/**
+ * Keep the better of the current IMDb match and a new candidate. Matches carry
+ * { imdb_id, imdb_url, source, score, candidates }; links found on a page score by
+ * their imdb_match_source, search results by their own score. A tie keeps the earlier one.
+ */
+function betterImdbMatch(current, found, source) {
+  if (!found?.imdb_id) return current;
+  const score = found.imdb_match_score ?? IMDB_SOURCE_SCORES[found.imdb_match_source || source] ?? 0;
+  if (current.imdb_id && current.score >= score) return current;
+  return {
+    imdb_id: found.imdb_id,
+    imdb_url: found.imdb_url,
+    source,
+    score,
+    candidates: found.imdb_candidates || [],
+  };
+}
+
+const isConfidentMatch = (match) => Boolean(match.imdb_id) && match.score >= IMDB_REVIEW_SCORE;
+
+/**
+ * IMDb ID of the series a season/episode belongs to: the link on the series page, the
+ * offline index, then a search by the series' title. Leaves page on the series page.
+ */
+async function resolveSeriesImdb(page, parentUrl, item, context) {
+  if (seriesImdbCache.has(parentUrl)) return seriesImdbCache.get(parentUrl);
+
+  await page.goto(parentUrl, { waitUntil: "domcontentloaded", timeout: 60_000 });
+  await page.waitForTimeout(settings.delays.parentSettle);
+
+  const original_title = await extractOriginalTitleOnPage(page);
+  const titles = [original_title, String(item.title || "").split(" - ")[0]].filter(Boolean); // "Rod Draka - Regent"
+  let match = betterImdbMatch({ imdb_id: "", score: 0 }, await extractImdbOnPage(page), "parent");
+
+  if (!isConfidentMatch(match) && settings.imdbIndex) {
+    match = betterImdbMatch(match, settings.imdbIndex.match({ titles, year: "", type: "series" }), "parent");
+  }
+  // Rok epizody není rok seriálu - hledá se bez roku
+  if (!isConfidentMatch(match) && titles.length) {
+    debug(`[series] Searching IMDb by series title: "${titles[0]}"`);
+    match = betterImdbMatch(match, await searchImdbByTitle(titles[0], "", context), "parent");
+  }
+
+  const series = { imdb_id: match.imdb_id || "", score: match.score, original_title };
+  seriesImdbCache.set(parentUrl, series);
+  return series;
+}
+
+/** An episode's own IMDb ID from the series' episode list (cached per season) */
+async function findImdbEpisode(seriesId, numbers, titles, context) {
+  const key = `${seriesId}/${numbers.season_number}`;
+  if (!episodeListCache.has(key)) episodeListCache.set(key, await fetchImdbEpisodes(seriesId, numbers.season_number, context));
+  return pickImdbEpisode(episodeListCache.get(key), numbers, titles);
+}
+
+/** Run all detail extractors + IMDb fallbacks on an already loaded detail page */
+export async function extractDetailsOnPage(page, item, context) {
+  let found = await extractImdbOnPage(page);
+  let original_title = await extractOriginalTitleOnPage(page);
+
+  const genre = await extractGenreOnPage(page);
+  const creators = await extractCreatorsOnPage(page);
+  const origin = await extractOriginFieldsOnPage(page);
+  const director = await extractDirectorOnPage(page, creators);
+  const cast = await extractCastOnPage(page, creators);
+  const description = await extractDescriptionOnPage(page);
+  const community = await extractCommunityRatingOnPage(page);
+  const parentUrl = isSeriesChild(item.type) ? parentTitleUrl(csfdUrl(item.url)) : "";
+  const numbers = parentUrl ? await extractEpisodeNumbersOnPage(page, item) : { season_number: "", episode_number: "" };
+
+  // Quick retry if both are empty (page might still be settling)
+  if (!found.imdb_id && !original_title) {
+    await page.waitForTimeout(800);
+    found = await extractImdbOnPage(page);
+    original_title = await extractOriginalTitleOnPage(page);
+  }
+
+  let match = betterImdbMatch({ imdb_id: "", score: 0 }, found, found.imdb_match_source);
+  const searchTitles = overrideFor(item)?.search_titles || [];
+
+  // FALLBACK: Offline IMDb dataset (--imdb-basics) - žádný požadavek na imdb.com
+  if (!isConfidentMatch(match) && settings.imdbIndex) {
+    const titles = [...searchTitles, original_title, item.title].filter(Boolean);
+    match = betterImdbMatch(match, settings.imdbIndex.match({ titles, year: item.year, type: item.type }), "imdb-dataset");
+  }
+
+  // FALLBACK: Ruční alternativní názvy (search_titles v csfd_overrides.json) mají přednost
+  for (const title of searchTitles) {
+    if (isConfidentMatch(match)) break;
+    debug(`[fallback] Searching IMDb by alternate title: "${title}"`);
+    match = betterImdbMatch(match, await searchImdbByTitle(title, item.year, context), "search-alternate");
+  }
+
+  // Série/epizoda: nejdřív ID seriálu (rodičovská stránka), pak vlastní tt podle čísla epizody.
+  // Stránka se tím přepne na seriál - všechny extraktory epizody už proběhly.
+  let series = null;
+  if (parentUrl) {
+    series = await resolveSeriesImdb(page, parentUrl, item, context);
+    if (!original_title) original_title = series.original_title;
+  }
+  if (series?.imdb_id && item.type === "season") {
+    // IMDb série nemá vlastní tt - ID seriálu a odkaz na seznam epizod té série
+    if (!match.imdb_id || match.imdb_id === series.imdb_id) {
+      const imdb_url = numbers.season_number ? imdbSeasonUrl(series.imdb_id, numbers.season_number) : imdbTitleUrl(series.imdb_id);
+      match = { imdb_id: series.imdb_id, imdb_url, source: "parent", score: series.score, candidates: [] };
+    }
+  } else if (series?.imdb_id) {
+    if (match.imdb_id === series.imdb_id) match = { imdb_id: "", score: 0 }; // Odkaz na seriál, ne na epizodu
+    if (!isConfidentMatch(match)) {
+      const titles = [original_title, String(item.title || "").split(" - ").slice(1).join(" - ")];
+      match = betterImdbMatch(match, await findImdbEpisode(series.imdb_id, numbers, titles, context), "episode-list");
+    }
+  }
+
+  // FALLBACK: Hledej IMDb přes český název (priorita). Nejistá shoda nezastaví další pokusy.
+  // U epizod známého seriálu obecné hledání jen najde jiné tituly se stejným názvem.
+  if (!isConfidentMatch(match) && item.title && !series?.imdb_id) {
+    debug(`[fallback] Searching IMDb by Czech title: "${item.title}"`);
+    match = betterImdbMatch(match, await searchImdbByTitle(item.title, item.year, context, { romanize: false }), "search-czech");
+  }
+
+  // FALLBACK: Hledej IMDb přes originální název
+  if (!isConfidentMatch(match) && original_title && !series?.imdb_id) {
+    debug(`[fallback] Searching IMDb by original title: "${original_title}"`);
+    match = betterImdbMatch(match, await searchImdbByTitle(original_title, item.year, context), "search-original");
+  }
+
+  if (match.imdb_id) debug(`[details] ${item.title}: ${match.imdb_id} (${match.source}, ${match.score})`);
+
+  return {
+    imdb_id: match.imdb_id || "",
+    imdb_url: match.imdb_url || "",
+    original_title: original_title || "",
+    genre,
+    director,
+    cast,
+    description,
+    ...community,
+    ...origin,
+    imdb_match_source: match.imdb_id ? match.source : "",
+    imdb_match_score: match.imdb_id ? String(match.score) : "",
+    series_imdb_id: series?.imdb_id || "",
+    ...numbers,
+    creators,
+    imdb_candidates: match.imdb_id ? match.candidates : null,
+  };
+}
+
+/** Open the detail page of an item and return its enrichment fields */
+export async function scrapeDetails(context, item) {
+  const page = await context.newPage();
+  try {
+    return await withRetry(async () => {
+      await page.goto(csfdUrl(item.url), { waitUntil: "domcontentloaded", timeout: 60_000 });
+      await acceptCookies(page);
+      await page.waitForTimeout(settings.delays.detailSettle);
+
+      try {
+        await page.waitForSelector('.external-links, .film-links, .film-header-links', { timeout: 3000 });
+      } catch {
+        debug('[debug] No external links section found');
+      }
+
+      return extractDetailsOnPage(page, item, context);
+    }, 2, 1000, `enriching ${item.url}`);
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/** Open a detail page and run only the given extractor (targeted re-fetch, no IMDb search) */
+export async function scrapeDetailFields(context, item, extract) {
+  const page = await context.newPage();
+  try {
+    return await withRetry(async () => {
+      await page.goto(csfdUrl(item.url), { waitUntil: "domcontentloaded", timeout: 60_000 });
+      await acceptCookies(page);
+      return extract(page);
+    }, 2, 1000, `re-fetching ${item.url}`);
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/** Country, runtime and Czech premiere of an already loaded detail page */
+export async function extractOriginFieldsOnPage(page) {
+  return { ...(await extractOriginOnPage(page)), premiere_cz: await extractPremiereOnPage(page) };
+}
+
+/** ────────────────────────────────
+ *  SCHEMA V2 (schema/csfd_ratings.v2.schema.json)
+ *  ──────────────────────────────── */
+export const SCHEMA_VERSION = 2;
+export const SCHEMA_FILE = "schema/csfd_ratings.v2.schema.json";
+
+// "dd.mm.yyyy" ↔ "yyyy-mm-dd"
+export const csfdDateToIso = (value) => {
+  const date = normalizeCsfdDate(value, value);
+  return date ? date.split(".").reverse().join("-") : null;
+};
+export const isoToCsfdDate = (value) => (value ? String(value).slice(0, 10).split("-").reverse().join(".") : "");
+
+const toInt = (value) => (value === "" || value == null || isNaN(Number(value)) ? null : Math.round(Number(value)));
+const fromInt = (value) => (value == null ? "" : String(value));
+const toText = (value) => (value == null || value === "" ? null : String(value));
+const fromText = (value) => value ?? "";
+const splitList = (separator) => (value) =>
+  Array.isArray(value) ? value : String(value || "").split(separator).map((part) => part.trim()).filter(Boolean);
+
+// "Harry Connick, Jr." je jedno jméno - přípona se vrací k předchozímu
+const splitNames = (value) =>
+  splitList(/\s*,\s*/)(value).reduce((names, part) => {
+    if (names.length && /^(Jr|Sr)\.?$|^[IVX]+\.?$/.test(part)) names[names.length - 1] += `, ${part}`;
+    else names.push(part);
+    return names;
+  }, []);
+
+/**
+ * Legacy field → [v2 field, to v2, back to the legacy string].
+ * Fields missing here (title, url, type, deletedAt...) are copied unchanged.
+ */
+const V2_FIELDS = {
+  year: ["year", toInt, fromInt],
+  rating: ["rating", (v) => toInt(v) ?? 0, (v) => (v ? String(v) : "")], // 0 = "odpad!"
+  ratingDate: ["ratingDate", csfdDateToIso, isoToCsfdDate],
+  addedDate: ["addedDate", csfdDateToIso, isoToCsfdDate],
+  imdb_id: ["imdb_id", toText, fromText],
+  imdb_url: ["imdb_url", toText, fromText],
+  original_title: ["original_title", toText, fromText],
+  genre: ["genres", splitList(GENRE_SEPARATOR), (v) => (v || []).join(" / ")],
+  director: ["directors", splitNames, (v) => (v || [])[0] || ""],
+  cast: ["cast", splitNames, (v) => (v || []).slice(0, settings.limits.cast).join(", ")],
+  description: ["description", toText, fromText],
+  csfd_rating: ["csfd_rating", toInt, fromInt],
+  csfd_votes: ["csfd_votes", toInt, fromInt],
+  csfd_rank: ["csfd_rank", splitList(/\s*;\s*/), (v) => (v || []).join("; ")],
+  country: ["countries", splitList(/\s*\/\s*/), (v) => (v || []).join(" / ")],
+  runtime: ["runtime", toInt, fromInt],
+  premiere_cz: ["premiere_cz", csfdDateToIso, isoToCsfdDate],
+  imdb_match_source: ["imdb_match_source", toText, fromText],
+  imdb_match_score: ["imdb_match_score", (v) => (v === "" || v == null || isNaN(Number(v)) ? null : Number(v)), (v) => (v == null ? "" : String(v))],
+  parent_url: ["parent_url", toText, fromText],
+  series_url: ["series_url", toText, fromText],
+  series_imdb_id: ["series_imdb_id", toText, fromText],
+  season_number: ["season_number", toInt, fromInt],
+  episode_number: ["episode_number", toInt, fromInt],
+  review: ["review", toText, fromText],
+  reviewDate: ["reviewDate", csfdDateToIso, isoToCsfdDate],
+  rating_history: [
+    "rating_history",
+    (v) => (v || []).map((e) => ({ rating: toInt(e.rating) ?? 0, ratingDate: csfdDateToIso(e.ratingDate), seenAt: e.seenAt ?? null })),
+    (v) => (v || []).map((e) => ({ rating: e.rating ? String(e.rating) : "", ratingDate: isoToCsfdDate(e.ratingDate), seenAt: e.seenAt ?? null })),
+  ],
+};
+const LEGACY_FIELDS = Object.fromEntries(Object.entries(V2_FIELDS).map(([legacy, [v2, , back]]) => [v2, [legacy, back]]));
+
+/** Legacy record (all strings) → v2 record (arrays, numbers, ISO dates), key order kept */
+export function toV2Record(item) {
+  const record = {};
+  for (const [key, value] of Object.entries(item)) {
+    const field = V2_FIELDS[key];
+    if (field) record[field[0]] = field[1](value);
+    else record[key] = value;
+  }
+  // Plné seznamy z #creators mají přednost před zkrácenými plochými sloupci
+  if (item.creators?.directors?.length) record.directors = [...item.creators.directors];
+  if (item.creators?.actors?.length) record.cast = [...item.creators.actors];
+  return record;
+}
+
+/** v2 record → legacy record (the CSV/JSON shape the scrapers have always written) */
+export function fromV2Record(record) {
+  const item = {};
+  for (const [key, value] of Object.entries(record)) {
+    const field = LEGACY_FIELDS[key];
+    if (field) item[field[0]] = field[1](value);
+    else item[key] = value;
+  }
+  return item;
+}
+
+/** Versioned v2 document: { $schema, schemaVersion, generatedAt, items } */
+export function toV2Document(items) {
+  return {
+    $schema: `./${SCHEMA_FILE.split("/").pop()}`,
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    items: items.map(toV2Record),
+  };
+}
+
+/** Legacy records from a v2 document (throws on other schema versions) */
+export function fromV2Document(doc) {
+  if (doc?.schemaVersion !== SCHEMA_VERSION) {
+    throw new Error(`Unsupported schema version: ${doc?.schemaVersion ?? "none"} (expected ${SCHEMA_VERSION})`);
+  }
+  return doc.items.map(fromV2Record);
+}
+
+/** ────────────────────────────────
+ *  OUTPUT WRITERS
+ *  ──────────────────────────────── */
+
+/** Convert array of objects to CSV string */
+export function toCsv(rows, header = CSV_HEADER) {
+  const esc = (v = "") =>
+    /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  return [
+    header.join(","),
+    ...rows.map((o) => header.map((h) => esc(o[h] ?? "")).join(",")),
+  ].join("\n");
+}
+
+/** Write via temp file + rename so readers never see a half-written file */
+export async function writeFileAtomic(filename, content) {
+  await fs.mkdir(path.dirname(filename), { recursive: true });
+  const tmp = `${filename}.${process.pid}.tmp`;
+  try {
+    await fs.writeFile(tmp, content, "utf8");
+    await fs.rename(tmp, filename);
+  } catch (e) {
+    await fs.unlink(tmp).catch(() => {});
+    throw e;
+  }
+}
+
+export async function saveJson(filename, data) {
+  await writeFileAtomic(filename, JSON.stringify(data, null, 2));
+}
+
+/**
+ * CSV holds current ratings only - tombstoned records stay in the JSON.
+ * Rows go through the v2 model, so the legacy CSV has one genre separator etc.
+ */
+export async function saveCsv(filename, rows, header = CSV_HEADER) {
+  const legacy = rows.filter((row) => !isDeleted(row)).map((row) => fromV2Record(toV2Record(row)));
+  await writeFileAtomic(filename, toCsv(legacy, header));
+}
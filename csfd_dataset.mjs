@@ -0,0 +1,329 @@
+// Kontrola a oprava datasetu - tvar záznamů, zbytky whitespace/"více", IMDb ID,
+// duplicitní URL, data a typ vs. struktura URL (manage_scraper.mjs validate | repair)
+
+import {
+  csfdItemKey,
+  isDeleted,
+  parentTitleUrl,
+  titleHierarchy,
+  cleanTitle,
+  truncateDescription,
+  normalizeGenre,
+  imdbUrlFor,
+  needsImdbReview,
+  overrideFor,
+  overrideFields,
+  applyOverride,
+  mergeRatingHistory,
+  csfdDateToIso,
+  IMDB_MATCH_SOURCES,
+  LIST_FIELDS,
+  HIERARCHY_FIELDS,
+  DETAIL_FIELDS,
+  REVIEW_FIELDS,
+} from "./csfd_core.mjs";
+
+/** ────────────────────────────────
+ *  HELPERS
+ *  ──────────────────────────────── */
+const TEXT_FIELDS = ["title", "original_title", "director", "cast", "description", "country"];
+const DATE_FIELDS = ["ratingDate", "premiere_cz", "reviewDate", "addedDate"];
+const TYPES = ["film", "series", "season", "episode"];
+
+// Zalomení/taby, zdvojené mezery nebo mezery na okrajích
+const hasStrayWhitespace = (value) => /[\n\t\r]|\s{2,}|^\s|\s$/.test(value);
+// "(více)" nebo odkaz "více" na vlastním řádku - ne "Na Hromnice o den více"
+const hasMoreLeftover = (value) => /\(více\)\s*$|\n\s*více\s*$/i.test(value);
+
+/** "dd.mm.yyyy" that is also a real calendar date */
+export function isValidCsfdDate(value) {
+  const m = String(value).match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+  if (!m) return false;
+  const date = new Date(Date.UTC(Number(m[3]), Number(m[2]) - 1, Number(m[1])));
+  return date.getUTCDate() === Number(m[1]) && date.getUTCMonth() === Number(m[2]) - 1;
+}
+
+/** Child segment of a ČSFD URL ("/film/1434072-1670/1802921-season-3/" → "season-3"), "" for top-level titles */
+export function csfdChildSlug(url) {
+  const m = String(url || "").match(/\/film\/\d+[^/]*\/(\d+)-?([^/]*)\//);
+  return m ? m[2] || m[1] : "";
+}
+
+/**
+ * Types the URL allows: a top-level title is a film or series, a child is a season
+ * or episode, and only a season can have a "season-N"/"serie-N" slug.
+ * Named seasons ("1320372-katanakadzi-no-sato-hen") can't be told from episodes.
+ */
+export function typesFromUrl(url) {
+  if (!parentTitleUrl(url)) return ["film", "series"];
+  const child = csfdChildSlug(url);
+  return /^(season|serie|série)-\d+$/i.test(child) ? ["season"] : ["season", "episode"];
+}
+
+/** ────────────────────────────────
+ *  VALIDATION
+ *  ──────────────────────────────── */
+
+/**
+ * Check every record against the expected shape. Returns
+ * [{ index, title, url, field, code, severity: "error" | "warning", message }].
+ * Tombstoned records are only checked for duplicates. With overrides
+ * (loadOverrides) it also reports ones the scraper no longer needs.
+ */
+export function validateDataset(items, { overrides } = {}) {
+  const issues = [];
+  const add = (index, field, code, severity, message) =>
+    issues.push({ index, title: items[index]?.title || "", url: items[index]?.url || "", field, code, severity, message });
+
+  const byUrl = new Map();
+  const byKey = new Map();
+
+  items.forEach((item, index) => {
+    if (!item || typeof item !== "object") {
+      add(index, "", "shape", "error", "záznam není objekt");
+      return;
+    }
+
+    // Duplicity - stejná URL je chyba, stejné ČSFD ID s jinou URL (slug, /prehled/) varování
+    if (item.url) {
+      if (byUrl.has(item.url)) add(index, "url", "duplicate-url", "error", `stejná URL jako záznam #${byUrl.get(item.url)}`);
+      else byUrl.set(item.url, index);
+
+      const key = csfdItemKey(item.url);
+      if (!byKey.has(key)) byKey.set(key, { index, url: item.url });
+      else if (byKey.get(key).url !== item.url) {
+        add(index, "url", "duplicate-id", "warning", `stejné ČSFD ID ${key} jako záznam #${byKey.get(key).index}`);
+      }
+    }
+
+    if (isDeleted(item)) return;
+
+    // Povinná pole
+    for (const field of ["title", "url", "type"]) {
+      if (!item[field]) add(index, field, "required", "error", `chybí ${field}`);
+    }
+    if (item.url && !/\/film\/\d+/.test(item.url)) add(index, "url", "url", "error", `neplatná ČSFD URL "${item.url}"`);
+    if (item.type && !TYPES.includes(item.type)) add(index, "type", "type", "error", `neznámý typ "${item.type}"`);
+
+    // Whitespace a "více" zbytky
+    for (const field of TEXT_FIELDS) {
+      const value = item[field];
+      if (typeof value !== "string" || !value) continue;
+      if (hasMoreLeftover(value)) add(index, field, "more-leftover", "error", `zbytek "více" v ${field}`);
+      else if (hasStrayWhitespace(value)) add(index, field, "whitespace", "error", `zalomení nebo zdvojené mezery v ${field}`);
+    }
+    if (item.genre && /\s{2,}|,|\n/.test(item.genre)) {
+      add(index, "genre", "genre-separator", "warning", `žánry nejsou oddělené " / " ("${item.genre}")`);
+    }
+
+    // Rok a hodnocení
+    if (item.year && !/^\d{4}$/.test(item.year)) add(index, "year", "year", "error", `neplatný rok "${item.year}"`);
+    if ("rating" in item) {
+      if (item.rating === "") add(index, "rating", "empty-rating", "warning", "prázdné hodnocení (odpad! nebo chyba parsování)");
+      else if (!/^[0-5]$/.test(item.rating)) add(index, "rating", "rating", "error", `neplatné hodnocení "${item.rating}"`);
+    }
+
+    // Data
+    for (const field of DATE_FIELDS) {
+      if (item[field] && !isValidCsfdDate(item[field])) add(index, field, "date", "error", `nečitelné datum ${field} "${item[field]}"`);
+    }
+    if ("ratingDate" in item && !item.ratingDate) add(index, "ratingDate", "date", "error", "chybí ratingDate");
+
+    // IMDb
+    if (item.imdb_id && !/^tt\d{7,}$/.test(item.imdb_id)) {
+      add(index, "imdb_id", "imdb-id", "error", `neplatné IMDb ID "${item.imdb_id}"`);
+    } else if (item.imdb_id && item.imdb_url && !item.imdb_url.includes(`/title/${item.imdb_id}/`)) {
+      add(index, "imdb_url", "imdb-url", "error", `imdb_url neodpovídá ${item.imdb_id}`);
+    } else if (!item.imdb_id && "imdb_id" in item) {
+      add(index, "imdb_id", "missing-imdb", "warning", "chybí IMDb ID");
+    }
+    if (item.series_imdb_id && !/^tt\d{7,}$/.test(item.series_imdb_id)) {
+      add(index, "series_imdb_id", "imdb-id", "error", `neplatné IMDb ID seriálu "${item.series_imdb_id}"`);
+    }
+    if (item.imdb_match_source && !IMDB_MATCH_SOURCES.includes(item.imdb_match_source)) {
+      add(index, "imdb_match_source", "imdb-source", "error", `neznámý zdroj IMDb "${item.imdb_match_source}"`);
+    }
+    if (needsImdbReview(item)) {
+      add(index, "imdb_id", "imdb-review", "warning", `nejistá IMDb shoda ${item.imdb_id} (${item.imdb_match_source}, skóre ${item.imdb_match_score})`);
+    }
+
+    // Ruční opravy - zbytečné (scraper už sám najde totéž) nebo ještě nepoužité
+    for (const [field, value] of Object.entries(overrideFields(overrideFor(item, overrides)))) {
+      if (item.overridden && field in item.overridden && item.overridden[field] === value) {
+        add(index, field, "override-redundant", "warning", `ruční oprava ${field} je zbytečná - scraper našel "${value}"`);
+      } else if (item[field] !== value) {
+        add(index, field, "override-pending", "warning", `ruční oprava ${field} ještě není použitá (spusť repair)`);
+      }
+    }
+
+    // Typ vs. struktura URL (/film/<seriál>/<série|epizoda>/)
+    const allowed = typesFromUrl(item.url);
+    if (item.url && TYPES.includes(item.type) && !allowed.includes(item.type)) {
+      add(index, "type", "type-url", "error", `typ "${item.type}", ale URL odpovídá ${allowed.join("/")}`);
+    }
+    // parent_url/series_url - starší záznamy je nemají (doplní repair), jiná hodnota je chyba
+    const hierarchy = item.url ? titleHierarchy(item.url) : {};
+    for (const field of HIERARCHY_FIELDS.filter((f) => item[f] !== undefined && item.url)) {
+      if (item[field] !== hierarchy[field]) add(index, field, "hierarchy", "error", `${field} neodpovídá URL (čekáno "${hierarchy[field]}")`);
+    }
+  });
+
+  return issues;
+}
+
+/** Malformed csfd_overrides.json entries - same issue shape, index = position in the file */
+export function validateOverrides(overrides) {
+  const known = [...LIST_FIELDS, ...HIERARCHY_FIELDS, ...DETAIL_FIELDS, ...REVIEW_FIELDS, "url", "search_titles", "note"];
+  const issues = [];
+  [...(overrides?.values() || [])].forEach((override, index) => {
+    const add = (field, code, message) =>
+      issues.push({ index, title: override.original_title || "", url: override.url, field, code, severity: "error", message });
+
+    if (!/\/film\/\d+/.test(override.url)) add("url", "override-url", `neplatná ČSFD URL "${override.url}"`);
+    for (const field of Object.keys(override).filter((key) => !known.includes(key))) {
+      add(field, "override-field", `neznámé pole "${field}"`);
+    }
+    if (override.imdb_id && !/^tt\d{7,}$/.test(override.imdb_id)) add("imdb_id", "override-imdb-id", `neplatné IMDb ID "${override.imdb_id}"`);
+    const titles = override.search_titles;
+    if (titles !== undefined && !(Array.isArray(titles) && titles.every((t) => typeof t === "string" && t))) {
+      add("search_titles", "override-search-titles", "search_titles musí být pole názvů");
+    }
+  });
+  return issues;
+}
+
+/** Issue counts per code, errors first */
+export function summarizeIssues(issues) {
+  const byCode = new Map();
+  for (const issue of issues) {
+    const entry = byCode.get(issue.code) || { code: issue.code, severity: issue.severity, count: 0, examples: [] };
+    entry.count++;
+    entry.examples.push(issue);
+    byCode.set(issue.code, entry);
+  }
+  return [...byCode.values()].sort((a, b) => (a.severity === b.severity ? b.count - a.count : a.severity === "error" ? -1 : 1));
+}
+
+/** ────────────────────────────────
+ *  REPAIR
+ *  ──────────────────────────────── */
+const collapseWhitespace = (value) => value.replace(/\s+/g, " ").trim();
+
+// Opravy po polích - každá vrací novou hodnotu (stejná = beze změny)
+const REPAIRS = {
+  title: collapseWhitespace,
+  original_title: cleanTitle,
+  genre: normalizeGenre,
+  director: collapseWhitespace,
+  cast: collapseWhitespace,
+  country: collapseWhitespace,
+  description: (value) => truncateDescription(collapseWhitespace(value)),
+};
+
+/**
+ * Offline fixes for one record: cleanTitle on original_title, canonical genre
+ * separators, re-truncated description, imdb_url derived from imdb_id (a season
+ * of a known series links its episode list), the type and parent_url/series_url
+ * implied by the URL and manual overrides. Returns [{ field, from, to }] and mutates the record.
+ */
+export function repairRecord(item, { overrides } = {}) {
+  const changes = [];
+  const set = (field, to) => {
+    if (item[field] === to) return;
+    changes.push({ field, from: item[field], to });
+    item[field] = to;
+  };
+
+  for (const [field, repair] of Object.entries(REPAIRS)) {
+    if (typeof item[field] === "string" && item[field]) set(field, repair(item[field]));
+  }
+
+  if (/^tt\d{7,}$/.test(item.imdb_id || "")) set("imdb_url", imdbUrlFor(item));
+
+  // Série/epizoda pod rodičovským titulem; film vs. seriál z URL poznat nejde
+  const allowed = typesFromUrl(item.url);
+  if (item.url && !allowed.includes(item.type)) {
+    if (allowed.length === 1) set("type", allowed[0]);
+    else if (parentTitleUrl(item.url) && (item.type === "film" || item.type === "series")) set("type", "episode");
+  }
+  // Prázdná pole se filmům a seriálům nepřidávají - jen opraví, co už v záznamu je
+  if (item.url) {
+    for (const [field, value] of Object.entries(titleHierarchy(item.url))) {
+      if (value || field in item) set(field, value);
+    }
+  }
+
+  // Ruční opravy vždy vyhrají
+  const before = { ...item };
+  for (const field of applyOverride(item, overrideFor(item, overrides))) {
+    changes.push({ field, from: before[field], to: item[field] });
+  }
+
+  return changes;
+}
+
+// Stav hodnocení se u duplicit slučuje zvlášť, ostatní pole jen doplní prázdná místa
+const RATING_STATE_FIELDS = ["rating", "ratingDate", "deletedAt", "rating_history"];
+const ratingDay = (item) => csfdDateToIso(item.ratingDate) || "";
+const isEmpty = (value) => value === "" || value == null;
+
+/**
+ * Fold a later record with the same URL into the kept one: the newer rating (by ratingDate)
+ * wins, rating histories merge, a tombstone stays only when no live copy was rated after it,
+ * and empty fields are filled from the duplicate. Returns [{ field, from, to }].
+ */
+function mergeDuplicate(kept, duplicate) {
+  const changes = [];
+  const set = (field, to) => {
+    if (JSON.stringify(kept[field]) === JSON.stringify(to)) return;
+    changes.push({ field, from: kept[field], to });
+    if (to === undefined) delete kept[field];
+    else kept[field] = to;
+  };
+
+  const newer = ratingDay(duplicate) > ratingDay(kept) ? duplicate : kept;
+  set("rating", newer.rating);
+  set("ratingDate", newer.ratingDate);
+
+  const copies = [kept, duplicate];
+  const deletedAt = copies.filter(isDeleted).map((item) => item.deletedAt).sort().at(-1);
+  const ratedAfter = copies.some((item) => !isDeleted(item) && ratingDay(item) > String(deletedAt).slice(0, 10));
+  set("deletedAt", deletedAt && !ratedAfter ? deletedAt : undefined);
+
+  const history = mergeRatingHistory(kept.rating_history, duplicate.rating_history);
+  if (history.length) set("rating_history", history);
+
+  for (const [field, value] of Object.entries(duplicate)) {
+    if (!RATING_STATE_FIELDS.includes(field) && !isEmpty(value) && isEmpty(kept[field])) set(field, value);
+  }
+  return changes;
+}
+
+/**
+ * Repair every record in place and fold later records with exactly the same URL into
+ * the first one (mergeDuplicate), then drop them. Returns [{ index, title, url, field, from, to }],
+ * indexes into the array as it was passed; a dropped duplicate is field "duplicate-url", to null.
+ */
+export function repairDataset(items, options = {}) {
+  const changes = items.flatMap((item, index) =>
+    repairRecord(item, options).map((change) => ({ index, title: item.title, url: item.url, ...change }))
+  );
+
+  const keptAt = new Map();
+  const merged = [];
+  const duplicates = [];
+  items.forEach((item, index) => {
+    if (!item?.url) return;
+    if (!keptAt.has(item.url)) {
+      keptAt.set(item.url, index);
+      return;
+    }
+    const keptIndex = keptAt.get(item.url);
+    const kept = items[keptIndex];
+    merged.push(...mergeDuplicate(kept, item).map((change) => ({ index: keptIndex, title: kept.title, url: kept.url, ...change })));
+    duplicates.push({ index, title: item.title, url: item.url, field: "duplicate-url", from: item.url, to: null });
+  });
+  for (const { index } of [...duplicates].reverse()) items.splice(index, 1);
+
+  return [...changes, ...merged, ...duplicates];
+}
@@ -0,0 +1,211 @@
+// Transport pro ČSFD scrapery - Playwright (browser) nebo čisté HTTP (fetch + linkedom)
+// HTTP stránka implementuje stejnou podmnožinu Playwright Page API, kterou používá
+// csfd_core.mjs ($, $$eval, $eval, content, url, goto, waitForSelector, ...),
+// takže parseListPage a detail extraktory fungují beze změny na obou transportech.
+
+import { parseHTML } from "linkedom";
+
+export const TRANSPORTS = ["browser", "http"];
+
+/** Selektory, které musí statické HTML obsahovat - jinak fallback na Playwright */
+export const PAGE_EXPECTATIONS = [
+  // Kontejner, ne řádky - stránka za koncem stránkování je legitimně prázdná
+  { match: /\/uzivatel\/[^/]+\/hodnoceni\//, selector: "#snippet--ratings" },
+  { match: /\/uzivatel\/[^/]+\/recenze\//, selector: "#snippet--reviews, .user-reviews" },
+  { match: /\/uzivatel\/[^/]+\/chci-videt\//, selector: "#snippet--watchlist, #snippet--wantToSee" },
+  { match: /\/film\//, selector: ".film-header, .film-header-name, #creators" },
+  { match: /\/find\/?\?q=/, selector: 'script#__NEXT_DATA__, .ipc-metadata-list-summary-item, .findResult' },
+];
+
+// HTTP statusy, u kterých je šance, že prohlížeč projde (bot ochrana)
+const FALLBACK_STATUSES = new Set([401, 403]);
+
+/** Transport z CLI (--transport http|browser) nebo env CSFD_TRANSPORT */
+export function resolveTransport(argv = process.argv, env = process.env) {
+  const idx = argv.indexOf("--transport");
+  const value = (idx >= 0 && argv[idx + 1]) || env.CSFD_TRANSPORT || "browser";
+  if (!TRANSPORTS.includes(value)) {
+    throw new Error(`Unknown transport "${value}" (expected: ${TRANSPORTS.join(", ")})`);
+  }
+  return value;
+}
+
+/** ────────────────────────────────
+ *  HTTP PAGE
+ *  ──────────────────────────────── */
+function wrapElement(el) {
+  return {
+    textContent: async () => el.textContent,
+    getAttribute: async (name) => el.getAttribute(name),
+    click: async () => {},           // Statické HTML - není co klikat
+    contentFrame: async () => null,  // Iframe obsah se nestahuje
+  };
+}
+
+class HttpPage {
+  constructor(context) {
+    this.context = context;
+    this.document = null;
+    this.html = "";
+    this.currentUrl = "";
+    this.delegate = null;
+  }
+
+  async goto(url, options = {}) {
+    if (this.delegate) {
+      await this.delegate.close().catch(() => {});
+      this.delegate = null;
+    }
+
+    const res = await fetch(url, {
+      headers: this.context.headers,
+      redirect: "follow",
+      signal: AbortSignal.timeout(options.timeout || 30_000),
+    });
+
+    if (FALLBACK_STATUSES.has(res.status)) {
+      return this.fallback(url, options, `HTTP ${res.status}`);
+    }
+    if (res.status === 429 || res.status >= 500) {
+      throw new Error(`HTTP ${res.status} for ${url}`);
+    }
+
+    this.html = await res.text();
+    this.currentUrl = res.url || url;
+    this.document = parseHTML(this.html).document;
+
+    const expected = PAGE_EXPECTATIONS.find((e) => e.match.test(this.currentUrl));
+    if (expected && !this.document.querySelector(expected.selector)) {
+      return this.fallback(url, options, `missing ${expected.selector}`);
+    }
+    return { status: () => res.status, url: () => this.currentUrl };
+  }
+
+  /** Stránku nejde přečíst staticky - otevře ji v Playwright a dál deleguje */
+  async fallback(url, options, reason) {
+    const browserContext = await this.context.browserContext();
+    if (!browserContext) {
+      throw new Error(`HTTP transport cannot read ${url} (${reason}) and browser fallback is disabled`);
+    }
+    this.context.log(`[transport] ${reason} on ${url} → Playwright fallback`);
+    this.context.stats.fallbacks++;
+    this.delegate = await browserContext.newPage();
+    return this.delegate.goto(url, options);
+  }
+
+  url() {
+    return this.delegate ? this.delegate.url() : this.currentUrl;
+  }
+
+  async content() {
+    return this.delegate ? this.delegate.content() : this.html;
+  }
+
+  async $(selector) {
+    if (this.delegate) return this.delegate.$(selector);
+    const el = this.document?.querySelector(selector);
+    return el ? wrapElement(el) : null;
+  }
+
+  async $$eval(selector, fn, arg) {
+    if (this.delegate) return this.delegate.$$eval(selector, fn, arg);
+    const els = this.document ? Array.from(this.document.querySelectorAll(selector)) : [];
+    return fn(els, arg);
+  }
+
+  async $eval(selector, fn, arg) {
+    if (this.delegate) return this.delegate.$eval(selector, fn, arg);
+    const el = this.document?.querySelector(selector);
+    if (!el) throw new Error(`failed to find element matching selector "${selector}"`);
+    return fn(el, arg);
+  }
+
+  async waitForSelector(selector, options = {}) {
+    if (this.delegate) return this.delegate.waitForSelector(selector, options);
+    // Statické HTML se už nezmění - buď tam selektor je, nebo ne
+    const el = this.document?.querySelector(selector);
+    if (!el) throw new Error(`Timeout waiting for selector "${selector}"`);
+    return wrapElement(el);
+  }
+
+  async waitForTimeout(ms) {
+    // Bez JavaScriptu není na co čekat
+    if (this.delegate) return this.delegate.waitForTimeout(ms);
+  }
+
+  async screenshot(options) {
+    if (this.delegate) return this.delegate.screenshot(options);
+    throw new Error("screenshots are not available in HTTP transport");
+  }
+
+  async close() {
+    if (this.delegate) await this.delegate.close().catch(() => {});
+    this.delegate = null;
+    this.document = null;
+  }
+}
+
+/** ────────────────────────────────
+ *  CONTEXTS
+ *  ──────────────────────────────── */
+
+/**
+ * Browser-like context over fetch. `fallback` is an async factory returning a
+ * Playwright BrowserContext; it's only called when a page can't be read statically.
+ */
+export function createHttpContext({ userAgent, locale = "cs-CZ", fallback = null, log = console.log } = {}) {
+  let fallbackContext = null;
+  const context = {
+    headers: {
+      "User-Agent": userAgent,
+      "Accept-Language": `${locale},${locale.split("-")[0]};q=0.9`,
+      "Accept": "text/html,application/xhtml+xml",
+    },
+    stats: { fallbacks: 0 },
+    log,
+    async browserContext() {
+      if (!fallback) return null;
+      fallbackContext = fallbackContext || fallback();
+      return fallbackContext;
+    },
+    async newPage() {
+      return new HttpPage(context);
+    },
+    async close() {
+      if (fallbackContext) await (await fallbackContext).close?.();
+    },
+  };
+  return context;
+}
+
+async function launchBrowser({ headless = true, args = [] }) {
+  // Dynamický import - HTTP režim nepotřebuje Playwright, dokud nedojde na fallback
+  const { chromium } = await import("playwright");
+  return chromium.launch({ headless, args });
+}
+
+/**
+ * Open a scraping context for the chosen transport.
+ * Returns { context, close } - both transports expose newPage() with the same contract.
+ */
+export async function openContext({ transport = "browser", headless = true, userAgent, args = [], log = console.log } = {}) {
+  let browser = null;
+  const newBrowserContext = async () => {
+    browser = browser || await launchBrowser({ headless, args });
+    return browser.newContext({ userAgent, locale: "cs-CZ" });
+  };
+
+  if (transport === "http") {
+    const context = createHttpContext({ userAgent, fallback: newBrowserContext, log });
+    return {
+      context,
+      close: async () => {
+        if (context.stats.fallbacks) log(`[transport] Playwright fallback used ${context.stats.fallbacks}x`);
+        if (browser) await browser.close();
+      },
+    };
+  }
+
+  const context = await newBrowserContext();
+  return { context, close: () => browser.close() };
+}
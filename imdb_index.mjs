@@ -0,0 +1,206 @@
+// Offline IMDb matcher nad datasety z https://datasets.imdbws.com - title.basics.tsv(.gz)
+// a volitelně title.akas.tsv(.gz). Název + rok + typ → tt ID se skóre bez jediného
+// požadavku na imdb.com; scrapery ho zkouší dřív než živé hledání (--imdb-basics FILE).
+
+import fs from "node:fs";
+import zlib from "node:zlib";
+import readline from "node:readline";
+import { cliOption, imdbTitleUrl, IMDB_REVIEW_SCORE } from "./csfd_core.mjs";
+import { normalizeTitle, romanizeTitle, titleSimilarity } from "./title_match.mjs";
+
+/** ────────────────────────────────
+ *  CONFIG
+ *  ──────────────────────────────── */
+
+// ČSFD typ → IMDb titleType (IMDb série nezná, série se hledá jako seriál)
+export const IMDB_TITLE_TYPES = {
+  film: ["movie", "tvMovie", "short", "tvShort", "video", "tvSpecial"],
+  series: ["tvSeries", "tvMiniSeries"],
+  season: ["tvSeries", "tvMiniSeries"],
+  episode: ["tvEpisode"],
+};
+
+// Epizod je v title.basics přes 8 milionů - indexují se jen s --imdb-episodes
+const DEFAULT_TYPES = [...new Set([...IMDB_TITLE_TYPES.film, ...IMDB_TITLE_TYPES.series])];
+
+// Z title.akas stačí český a "světový" (anglický) název - originální už je v basics
+const DEFAULT_AKA_REGIONS = ["CZ", "XWW"];
+
+// Skóre 0-1 jako u živého hledání: název 200 + rok 100 bodů z 300
+const SCORE_MAX = 300;
+const TITLE_POINTS = 200;
+const YEAR_POINTS = { exact: 100, near: 50, unknown: 25 }; // near = ±1 rok (festivalová vs. běžná premiéra)
+const RUNNER_UPS = 3;
+
+const NULL = "\\N"; // Prázdná hodnota v IMDb TSV
+
+/** ────────────────────────────────
+ *  HELPERS
+ *  ──────────────────────────────── */
+
+const toYear = (value) => (value && value !== NULL ? Number(value) : 0);
+
+/** Year points - a series matches anywhere between its start and end year */
+function yearPoints(year, { startYear, endYear }) {
+  if (!year || !startYear) return YEAR_POINTS.unknown; // Bez roku jen název - ke kontrole (jako scoreImdbCandidates)
+  const end = endYear || startYear;
+  if (year >= startYear && year <= end) return YEAR_POINTS.exact;
+  if (year >= startYear - 1 && year <= end + 1) return YEAR_POINTS.near;
+  return 0;
+}
+
+/** Řádky TSV (i gzip) jako pole sloupců, bez hlavičky */
+async function* readTsv(file) {
+  let input = fs.createReadStream(file);
+  if (file.endsWith(".gz")) input = input.pipe(zlib.createGunzip());
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let header = true;
+  for await (const line of lines) {
+    if (header) {
+      header = false;
+      continue;
+    }
+    if (line) yield line.split("\t");
+  }
+}
+
+/** ────────────────────────────────
+ *  INDEX
+ *  ──────────────────────────────── */
+
+/**
+ * In-memory title index. add() takes one title.basics row as an object, addAlias()
+ * one more name for an already added title; match() scores the titles of one ČSFD
+ * record like scoreImdbCandidates does for live search results.
+ * Titles are keyed by normalizeTitle; the romanized form (romanizeTitle) is only a
+ * secondary key that counts when titleSimilarity confirms a transcription ("Good" ≠ "God").
+ */
+export function createImdbIndex() {
+  const titles = new Map();      // tt ID → { imdb_id, type, title, startYear, endYear }
+  const byTitle = new Map();     // normalizeTitle → [{ id, title }]
+  const byRomanized = new Map(); // romanizeTitle → [{ id, title }], jen když se liší
+
+  const addTo = (map, key, id, title) => {
+    const entries = map.get(key);
+    if (!entries) map.set(key, [{ id, title }]);
+    else if (!entries.some((entry) => entry.id === id && entry.title === title)) entries.push({ id, title });
+  };
+  const addKey = (title, id) => {
+    const key = normalizeTitle(title);
+    if (!key) return;
+    addTo(byTitle, key, id, title);
+    const romanized = romanizeTitle(title);
+    if (romanized && romanized !== key) addTo(byRomanized, romanized, id, title);
+  };
+
+  // Přesná shoda normalizovaného názvu, romanizovaný klíč jen s potvrzením titleSimilarity
+  const lookup = (name) => {
+    const exact = (byTitle.get(normalizeTitle(name)) || []).map(({ id }) => id);
+    const romanized = romanizeTitle(name);
+    const transcribed = [...(byTitle.get(romanized) || []), ...(byRomanized.get(romanized) || [])]
+      .filter(({ id, title }) => !exact.includes(id) && titleSimilarity(name, title) === 1)
+      .map(({ id }) => id);
+    return [...new Set([...exact, ...transcribed])];
+  };
+
+  return {
+    get size() {
+      return titles.size;
+    },
+
+    has: (id) => titles.has(id),
+
+    add({ tconst, titleType, primaryTitle, originalTitle, startYear, endYear }) {
+      titles.set(tconst, {
+        imdb_id: tconst,
+        type: titleType,
+        title: primaryTitle,
+        startYear: toYear(startYear),
+        endYear: toYear(endYear),
+      });
+      addKey(primaryTitle, tconst);
+      if (originalTitle && originalTitle !== primaryTitle) addKey(originalTitle, tconst);
+    },
+
+    addAlias(id, title) {
+      if (titles.has(id)) addKey(title, id);
+    },
+
+    /**
+     * Best title for any of the given names ({ titles, year, type }), restricted to the
+     * IMDb types of the ČSFD type. Several equally good titles make the match a coin flip
+     * (score 0.5, flagged for review). Same shape as scoreImdbCandidates, or null.
+     */
+    match({ titles: names, year, type }) {
+      const types = IMDB_TITLE_TYPES[type];
+      const targetYear = Number(year) || 0;
+      const scored = new Map();
+
+      for (const name of names || []) {
+        for (const id of lookup(name)) {
+          const entry = titles.get(id);
+          if (scored.has(id) || (types && !types.includes(entry.type))) continue;
+          const score = Math.round((TITLE_POINTS + yearPoints(targetYear, entry)) / SCORE_MAX * 100) / 100;
+          scored.set(id, { imdb_id: id, title: entry.title, year: entry.startYear ? String(entry.startYear) : "", score });
+        }
+      }
+
+      if (scored.size === 0) return null;
+      const [best, ...runnerUps] = [...scored.values()].sort((a, b) => b.score - a.score);
+      const ambiguous = runnerUps[0]?.score === best.score && best.score >= IMDB_REVIEW_SCORE;
+      return {
+        imdb_id: best.imdb_id,
+        imdb_url: imdbTitleUrl(best.imdb_id),
+        title: best.title,
+        year: best.year,
+        imdb_match_score: ambiguous ? 0.5 : best.score,
+        imdb_candidates: runnerUps.slice(0, RUNNER_UPS),
+      };
+    },
+  };
+}
+
+/**
+ * Build the index from title.basics.tsv(.gz) and optionally title.akas.tsv(.gz).
+ * Only film/series types are kept unless episodes is set; akas only for the given regions.
+ */
+export async function loadImdbIndex({ basics, akas = "", episodes = false, regions = DEFAULT_AKA_REGIONS, log = () => {} }) {
+  const index = createImdbIndex();
+  const types = episodes ? [...DEFAULT_TYPES, ...IMDB_TITLE_TYPES.episode] : DEFAULT_TYPES;
+  const started = Date.now();
+
+  // title.basics: tconst titleType primaryTitle originalTitle isAdult startYear endYear runtimeMinutes genres
+  for await (const [tconst, titleType, primaryTitle, originalTitle, , startYear, endYear] of readTsv(basics)) {
+    if (types.includes(titleType)) index.add({ tconst, titleType, primaryTitle, originalTitle, startYear, endYear });
+  }
+
+  // title.akas: titleId ordering title region language types attributes isOriginalTitle
+  let aliases = 0;
+  if (akas) {
+    for await (const [titleId, , title, region] of readTsv(akas)) {
+      if (!regions.includes(region) || !index.has(titleId)) continue;
+      index.addAlias(titleId, title);
+      aliases++;
+    }
+  }
+
+  log(`[imdb-index] ${index.size} titles, ${aliases} akas loaded in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  return index;
+}
+
+/**
+ * Index from CLI/env (--imdb-basics FILE / CSFD_IMDB_BASICS, --imdb-akas FILE / CSFD_IMDB_AKAS,
+ * --imdb-akas-regions CZ,XWW, --imdb-episodes), or null when no basics file is given.
+ */
+export async function resolveImdbIndex({ argv = process.argv, env = process.env, log } = {}) {
+  const basics = cliOption("imdb-basics", "CSFD_IMDB_BASICS", "", argv, env);
+  if (!basics) return null;
+  const regions = cliOption("imdb-akas-regions", null, "", argv, env);
+  return loadImdbIndex({
+    basics,
+    akas: cliOption("imdb-akas", "CSFD_IMDB_AKAS", "", argv, env),
+    episodes: argv.includes("--imdb-episodes"),
+    regions: regions ? regions.split(",").map((r) => r.trim().toUpperCase()) : DEFAULT_AKA_REGIONS,
+    log,
+  });
+}
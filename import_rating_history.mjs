@@ -0,0 +1,162 @@
+// Jednorázový import historie hodnocení ze záloh csfd_ratings_backup_*.json
+// Přehraje zálohy (a nakonec aktuální dataset) podle času v názvu souboru a každému
+// záznamu složí rating_history - každou změnu hodnocení/data s časem, kdy ji záloha zachytila.
+// Aktuální dataset dostane čas posledního inkrementálního běhu (lastRun v incremental_state.json),
+// pokud je novější než poslední záloha, jinak čas importu - mtime souboru po checkoutu nic neznamená.
+// Opakované spuštění nic nezdvojí, historie zapsaná běhy scraperu se zachová.
+//
+//   node import_rating_history.mjs [--user 2544-ludivitto] [--dry-run]
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import {
+  csfdItemKey,
+  isDeleted,
+  appendRatingHistory,
+  mergeRatingHistory,
+  resolveProfile,
+  saveJson,
+} from "./csfd_core.mjs";
+
+/** ────────────────────────────────
+ *  CONFIG
+ *  ──────────────────────────────── */
+const BACKUP_FILE = /^csfd_ratings_backup_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/;
+
+/** ────────────────────────────────
+ *  REPLAY
+ *  ──────────────────────────────── */
+
+/** "csfd_ratings_backup_2025-09-16T14-48-31-467Z.json" → "2025-09-16T14:48:31.467Z", null for other files */
+export function backupTimestamp(filename) {
+  const m = path.basename(filename).match(BACKUP_FILE);
+  return m ? `${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5]}Z` : null;
+}
+
+/**
+ * Replay dataset snapshots ([{ seenAt, items }], oldest first) into
+ * Map(csfdItemKey → rating_history). A title missing from a snapshot or
+ * tombstoned in it doesn't break its timeline. Of duplicate records in one
+ * snapshot the first one counts (incremental runs prepend the newest).
+ */
+export function replayRatingHistory(snapshots) {
+  const timelines = new Map();
+  for (const { seenAt, items } of snapshots) {
+    const seen = new Set();
+    for (const item of items) {
+      if (!item?.url || isDeleted(item)) continue;
+      const key = csfdItemKey(item.url);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (!timelines.has(key)) timelines.set(key, {});
+      appendRatingHistory(timelines.get(key), seenAt, item);
+    }
+  }
+  return new Map([...timelines].map(([key, { rating_history }]) => [key, rating_history]));
+}
+
+/**
+ * seenAt of the current dataset: the last incremental run when it's newer than
+ * the newest backup (the dataset was written by that run), otherwise now.
+ */
+export function currentSnapshotTime(lastRun, newestBackup, now = new Date().toISOString()) {
+  return lastRun && (!newestBackup || lastRun > newestBackup) ? lastRun : now;
+}
+
+/**
+ * Backups in a data directory as [{ file, seenAt }], oldest first. Hand-named
+ * backups (csfd_ratings_backup_before_imdb_fix.json) have no time and are left out.
+ */
+export async function listBackups(dataDir) {
+  const files = await fs.readdir(dataDir);
+  return files
+    .map((file) => ({ file: path.join(dataDir, file), seenAt: backupTimestamp(file) }))
+    .filter((backup) => backup.seenAt)
+    .sort((a, b) => a.seenAt.localeCompare(b.seenAt));
+}
+
+/** ────────────────────────────────
+ *  CLI
+ *  ──────────────────────────────── */
+async function main() {
+  if (process.argv.includes("--help")) {
+    console.log(`
+Import historie hodnocení ze záloh - Použití:
+  node import_rating_history.mjs [--user U] [--dry-run]
+
+  --user U     Profil (výchozí z csfd_config.json), --data-dir DIR jiná složka
+  --dry-run    Jen vypíše, co by se změnilo
+
+  Aktuální dataset platí k lastRun z incremental_state.json (je-li novější než
+  poslední záloha), jinak k času importu.
+`);
+    return;
+  }
+
+  const { dataDir } = resolveProfile();
+  const mainJson = `${dataDir}/csfd_ratings.json`;
+  const dryRun = process.argv.includes("--dry-run");
+  console.log(`🕰️ Import historie hodnocení (${dataDir}/)\n`);
+
+  // 1. Zálohy jedna po druhé (každá má několik MB), nakonec aktuální dataset
+  const backups = await listBackups(dataDir);
+  const snapshots = [];
+  for (const { file, seenAt } of backups) {
+    try {
+      const items = JSON.parse(await fs.readFile(file, "utf8"));
+      if (!Array.isArray(items)) throw new Error("není pole záznamů");
+      snapshots.push({ seenAt, items: items.map(({ url, rating, ratingDate, deletedAt }) => ({ url, rating, ratingDate, deletedAt })) });
+    } catch (error) {
+      console.log(`⚠️ ${path.basename(file)} přeskočen: ${error.message}`);
+    }
+  }
+  console.log(`📦 Záloh: ${snapshots.length} (${backups[0]?.seenAt || "-"} … ${backups.at(-1)?.seenAt || "-"})`);
+
+  const data = JSON.parse(await fs.readFile(mainJson, "utf8"));
+  let lastRun = null;
+  try {
+    ({ lastRun } = JSON.parse(await fs.readFile(`${dataDir}/incremental_state.json`, "utf8")));
+  } catch {}
+  const seenAt = currentSnapshotTime(lastRun, backups.at(-1)?.seenAt);
+  console.log(`🕒 Aktuální dataset k: ${seenAt}${seenAt === lastRun ? " (poslední inkrementální běh)" : ""}`);
+  snapshots.push({ seenAt, items: data });
+
+  // 2. Historie ze záloh + co už zapsaly běhy scraperu
+  const timelines = replayRatingHistory(snapshots);
+  let updated = 0;
+  let changed = 0;
+  const reported = new Set(); // Duplicitní záznamy titulu se vypíšou a počítají jednou
+  for (const item of data) {
+    const key = csfdItemKey(item.url);
+    const history = mergeRatingHistory(timelines.get(key), item.rating_history);
+    if (history.length === 0) continue;
+    if (JSON.stringify(history) !== JSON.stringify(item.rating_history)) updated++;
+    if (history.length > 1 && !reported.has(key)) {
+      reported.add(key);
+      changed++;
+      if (dryRun) console.log(`  🔁 ${item.title}: ${history.map((e) => `${e.rating || "-"}⭐ ${e.ratingDate}`).join(" → ")}`);
+    }
+    item.rating_history = history;
+  }
+  console.log(`📊 Záznamů: ${data.length}, s novou historií: ${updated}, se změnou hodnocení: ${changed}`);
+
+  if (dryRun || updated === 0) {
+    console.log(dryRun ? "\n🔍 --dry-run: nic neuloženo" : "\n✅ Historie je aktuální");
+    return;
+  }
+
+  // 3. Záloha a zápis (rating_history je jen v JSON, CSV se nemění)
+  const backupJson = `${dataDir}/csfd_ratings_backup_${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
+  await saveJson(backupJson, JSON.parse(await fs.readFile(mainJson, "utf8")));
+  console.log(`💾 Záloha vytvořena: ${backupJson}`);
+  await saveJson(mainJson, data);
+  console.log(`✅ Historie uložena do ${mainJson}`);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error("💥 FATAL ERROR:", error.message);
+    process.exit(1);
+  });
+}
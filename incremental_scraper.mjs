@@ -1,22 +1,52 @@
 // Inkrementální CSFD Scraper - detekuje a přidává pouze nové filmy/seriály
 // Optimalizovaný pro rychlé noční kontroly s minimálním zatížením
 
-import { chromium } from "playwright";
 import fs from "node:fs/promises";
+import {
+  configure,
+  sleep,
+  parseListPage,
+  listPageUrl,
+  extractRatingCountOnPage,
+  scrapeDetails,
+  pickDetails,
+  loadOverrides,
+  applyOverrides,
+  appendRatingHistory,
+  splitWatchlist,
+  WATCHLIST_CSV_HEADER,
+  csfdItemKey,
+  isDeleted,
+  resolveOrigins,
+  resolveProfile,
+  profileRatingsUrl,
+  saveJson,
+  saveCsv,
+} from "./csfd_core.mjs";
+import { openContext, resolveTransport } from "./csfd_transport.mjs";
+import { resolveImdbIndex } from "./imdb_index.mjs";
+
+const hasCliFlag = (name) => process.argv.includes(`--${name}`);
+const origins = resolveOrigins();     // --base-url / --imdb-base-url (např. mock_server.mjs)
+const profile = resolveProfile();     // --user / CSFD_USER / csfd_config.json, --data-dir
+const dataDir = profile.dataDir;      // data/ pro hlavní profil, data/users/<user>/ pro ostatní
 
 /** ────────────────────────────────
  *  KONFIGURACE
  *  ──────────────────────────────── */
 const config = {
   // CSFD URL
-  BASE_URL: "https://www.csfd.cz/uzivatel/2544-ludivitto/hodnoceni/",
+  BASE_URL: profileRatingsUrl(origins.csfd, profile.user),
   
   // Soubory
   files: {
-    mainJson: "data/csfd_ratings.json",
-    backupJson: "data/csfd_ratings_backup.json",
-    newItemsJson: "data/new_items.json",
-    stateJson: "data/incremental_state.json",
+    mainJson: `${dataDir}/csfd_ratings.json`,
+    mainCsv: `${dataDir}/csfd_ratings.csv`,
+    backupJson: `${dataDir}/csfd_ratings_backup.json`,
+    newItemsJson: `${dataDir}/new_items.json`,
+    stateJson: `${dataDir}/incremental_state.json`,
+    watchlistJson: `${dataDir}/csfd_watchlist.json`, // scrape_csfd.mjs --watchlist
+    watchlistCsv: `${dataDir}/csfd_watchlist.csv`,
   },
   
   // Nastavení
@@ -26,6 +56,8 @@ const config = {
     enableEnrichment: true,    // Zda enrichovat nové položky
     createBackup: true,        // Vytvořit zálohu před změnami
     verbose: true,             // Detailní logování
+    reconcile: hasCliFlag('reconcile'), // Projít všechny stránky a označit smazaná hodnocení
+    maxReconcilePages: 500,    // Pojistka pro průchod všemi stránkami
   },
   
   // Performance
@@ -37,6 +69,7 @@ const config = {
   
   // Browser
   browser: {
+    transport: resolveTransport(), // --transport http = bez prohlížeče (Playwright jen jako fallback)
     headless: true,
     userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125 Safari/537.36",
   }
@@ -51,7 +84,14 @@ const log = (msg, ...args) => {
   }
 };
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+configure({
+  verbose: config.settings.verbose,
+  log,
+  origins,
+  delays: { detailSettle: config.delays.pageLoad },
+  overrides: loadOverrides(), // csfd_overrides.json / --overrides FILE
+  imdbIndex: await resolveImdbIndex({ log: console.log }), // --imdb-basics FILE
+});
 
 // Načtení existujících dat
 async function loadExistingData() {
@@ -69,186 +109,200 @@ async function loadExistingData() {
 // Uložení dat
 async function saveData(items, filename) {
   try {
-    await fs.mkdir("data", { recursive: true });
-    await fs.writeFile(filename, JSON.stringify(items, null, 2), 'utf8');
-    log(`Data uložena do ${filename} (${items.length} položek)`);
+    await saveJson(filename, items);
+    log(`Data uložena do ${filename}${Array.isArray(items) ? ` (${items.length} položek)` : ''}`);
   } catch (error) {
     log(`Chyba při ukládání do ${filename}: ${error.message}`);
   }
 }
 
+// Regenerace CSV z hlavního datasetu (stejné sloupce jako plný scraper)
+async function saveCsvData(items) {
+  try {
+    await saveCsv(config.files.mainCsv, items);
+    log(`CSV uloženo do ${config.files.mainCsv} (${items.length} položek)`);
+  } catch (error) {
+    log(`Chyba při ukládání do ${config.files.mainCsv}: ${error.message}`);
+  }
+}
+
 // Vytvoření zálohy
 async function createBackup(items) {
   if (config.settings.createBackup) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupFile = `data/csfd_ratings_backup_${timestamp}.json`;
+    const backupFile = `${dataDir}/csfd_ratings_backup_${timestamp}.json`;
     await saveData(items, backupFile);
     log(`Záloha vytvořena: ${backupFile}`);
   }
 }
 
-// Vytvoření unikátního klíče pro položku
-function createItemKey(item) {
-  return `${item.url}::${item.title}::${item.year}`;
+// Index existujících položek podle stabilního ČSFD klíče (URL se mění - slug, /prehled/)
+function indexItems(items) {
+  const index = new Map();
+  for (const item of items) {
+    const key = csfdItemKey(item.url);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(item);
+  }
+  return index;
 }
 
-// Porovnání položek - najde nové
-function findNewItems(existingItems, newItems) {
-  const existingKeys = new Set(existingItems.map(createItemKey));
-  const newItemsFiltered = newItems.filter(item => {
-    const key = createItemKey(item);
-    return !existingKeys.has(key);
-  });
+// Porovnání položek - najde nové a přehodnocené (jiné hodnocení nebo datum)
+function diffItems(existingIndex, pageItems) {
+  const newItems = [];
+  const changedItems = [];
+  
+  for (const item of pageItems) {
+    const records = existingIndex.get(csfdItemKey(item.url));
+    if (!records) {
+      newItems.push(item);
+      continue;
+    }
+    const [record] = records;
+    if (record.rating !== item.rating || record.ratingDate !== item.ratingDate || isDeleted(record)) {
+      changedItems.push({ records, item });
+    }
+  }
   
-  log(`Nalezeno ${newItemsFiltered.length} nových položek z ${newItems.length} zkontrolovaných`);
-  return newItemsFiltered;
+  log(`Nalezeno ${newItems.length} nových a ${changedItems.length} změněných položek z ${pageItems.length} zkontrolovaných`);
+  return { newItems, changedItems };
+}
+
+// Aktualizace hodnocení přímo v existujících záznamech, vrací záznamy pro report.
+// Původní i nový stav se zapíšou do rating_history.
+function applyChanges(changedItems, seenAt = new Date().toISOString()) {
+  return changedItems.map(({ records, item }) => {
+    const previous = { rating: records[0].rating, ratingDate: records[0].ratingDate };
+    for (const record of records) {
+      if (!record.rating_history?.length) appendRatingHistory(record, null);
+      appendRatingHistory(record, seenAt, item);
+      record.rating = item.rating;
+      record.ratingDate = item.ratingDate;
+      delete record.deletedAt; // Znovu ohodnocený titul už není smazaný
+    }
+    log(`🔁 ${item.title}: ${previous.rating || '-'}⭐ (${previous.ratingDate}) → ${item.rating || '-'}⭐ (${item.ratingDate})`);
+    return { ...records[0], previous };
+  });
 }
 
 /** ────────────────────────────────
- *  CSFD PARSING (zjednodušené z hlavního scraperu)
+ *  REKONCILIACE SMAZANÝCH HODNOCENÍ
  *  ──────────────────────────────── */
-async function parseListPage(page, url) {
+
+// Porovná počet hodnocení na profilu s datasetem, případně projde všechny stránky
+// a vrátí aktivní záznamy, které už na ČSFD nejsou. Nic nemění - jen hledá.
+// Počítá se podle ČSFD ID - duplicitní záznamy jednoho titulu jsou jedno hodnocení.
+async function findDeletedItems(page, items) {
+  const active = items.filter(item => !isDeleted(item));
+  const activeKeys = new Set(active.map(item => csfdItemKey(item.url)));
+  
+  let profileCount = null;
   try {
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
-    await sleep(config.delays.pageLoad);
-    
-    // Cookie consent
+    await page.goto(config.BASE_URL, { waitUntil: "domcontentloaded", timeout: 60000 });
+    profileCount = await extractRatingCountOnPage(page);
+  } catch (error) {
+    log(`Chyba při načítání profilu: ${error.message}`);
+  }
+  
+  if (profileCount !== null) {
+    log(`🧮 Hodnocení na profilu: ${profileCount}, aktivních v datasetu: ${activeKeys.size}`);
+    if (profileCount >= activeKeys.size) {
+      log("✅ Počty sedí - žádná smazaná hodnocení");
+      return [];
+    }
+  } else {
+    log("⚠️ Počet hodnocení na profilu nenalezen - procházím všechny stránky");
+  }
+  
+  const seenKeys = new Set();
+  let complete = false;
+  for (let p = 1; p <= config.settings.maxReconcilePages; p++) {
+    const url = listPageUrl(config.BASE_URL, p);
+    let pageItems;
     try {
-      const cookieBtn = await page.$('button[id^="didomi-notice-agree-button"], #didomi-notice-agree-button');
-      if (cookieBtn) {
-        await cookieBtn.click({ timeout: 2000 }).catch(() => {});
-        log("Cookies přijaty");
-      }
-    } catch {}
-
-    // Čekání na obsah
-    await page.waitForSelector('#snippet--ratings table.striped tbody tr', { timeout: 10000 });
-
-    const items = await page.$$eval('#snippet--ratings table.striped tbody tr', (trs) => {
-      const out = [];
-      for (const tr of trs) {
-        const link = tr.querySelector(".name .film-title-name");
-        if (!link) continue;
-
-        const url = link.getAttribute("href") || "";
-        const title = (link.textContent || "").trim().replace(/\s*\(více\)\s*$/i, '');
-        
-        const infoParts = Array.from(tr.querySelectorAll(".film-title-info .info"))
-          .map(s => (s.textContent || "").trim());
-        const infoText = infoParts.join(" ");
-
-        // Year
-        const yearMatch = infoText.match(/\b(19\d{2}|20\d{2})\b/);
-        const year = yearMatch ? yearMatch[1] : "";
-
-        // Type 
-        const low = infoText.toLowerCase();
-        let type = "film";
-        if (low.includes("seriál")) type = "series";
-        if (low.includes("epizoda")) type = "episode";
-        if (low.includes("série")) type = "season";
-
-        // Rating
-        const starsEl = tr.querySelector(".star-rating .stars");
-        const className = starsEl?.className || "";
-        const ratingMatch = className.match(/stars-(\d)/);
-        const rating = ratingMatch ? ratingMatch[1] : "";
-
-        // Date
-        const ratingDate = (tr.querySelector(".date-only")?.textContent || "").trim();
-
-        out.push({ 
-          title, year, type, rating, ratingDate, url,
-          // Inicializace pro enrichment
-          imdb_id: "",
-          imdb_url: "",
-          original_title: "",
-          genre: "",
-          director: "",
-          cast: "",
-          description: "",
-        });
-      }
-      return out;
-    });
-
-    // Konverze relativních URL na absolutní
-    for (const item of items) {
-      if (item.url && !item.url.startsWith('http')) {
-        item.url = new URL(item.url, config.BASE_URL).href;
-      }
+      pageItems = await parseListPage(page, url, `reconcile_p${p}`);
+    } catch (error) {
+      log(`Chyba při parsování stránky ${url}: ${error.message}`);
+      break;
     }
-    
-    log(`Načteno ${items.length} položek ze stránky`);
-    return items;
-  } catch (error) {
-    log(`Chyba při parsování stránky ${url}: ${error.message}`);
+    // Prázdnou stránku vrátí i timeout nebo blokace - konec jen se všemi hodnoceními z profilu
+    if (pageItems.length === 0) {
+      complete = profileCount === null || seenKeys.size >= profileCount;
+      break;
+    }
+    pageItems.forEach(item => seenKeys.add(csfdItemKey(item.url)));
+    if (profileCount !== null && seenKeys.size >= profileCount) {
+      complete = true;
+      break;
+    }
+    if (p % 10 === 0) log(`📄 Rekonciliace: ${p} stránek, ${seenKeys.size} hodnocení`);
+    await sleep(config.delays.pagination);
+  }
+  
+  // Neúplný průchod by označil za smazané vše za poslední načtenou stránkou
+  if (!complete) {
+    log("❌ Průchod stránkami nedokončen - rekonciliace přeskočena");
+    return [];
+  }
+  
+  const deleted = active.filter(item => !seenKeys.has(csfdItemKey(item.url)));
+  const deletedKeys = new Set(deleted.map(item => csfdItemKey(item.url)));
+  
+  // Smazaných nemůže být víc, než kolik jich na profilu chybí
+  if (profileCount !== null && deletedKeys.size > activeKeys.size - profileCount) {
+    log(`❌ ${deletedKeys.size} smazaných, ale na profilu chybí jen ${activeKeys.size - profileCount} - rekonciliace přeskočena`);
     return [];
   }
+  
+  log(`🗑️ Nalezeno ${deleted.length} smazaných hodnocení (na ČSFD ${seenKeys.size})`);
+  return deleted;
+}
+
+// Označí záznamy jako smazané (tombstone) - záznam v datasetu zůstává
+function markDeleted(items) {
+  const deletedAt = new Date().toISOString();
+  return items.map(item => {
+    item.deletedAt = deletedAt;
+    log(`🗑️ ${item.title} (${item.year}) - ⭐${item.rating || '-'} smazáno`);
+    return item;
+  });
 }
 
 /** ────────────────────────────────
- *  IMDB EXTRACTION (z hlavního scraperu)
+ *  WATCHLIST ("chci vidět")
  *  ──────────────────────────────── */
 
-/** Extract IMDb (robust: several selectors + HTML regex fallback) */
-async function extractImdbOnPage(page) {
+// Ohodnocené tituly se přesunou z watchlistu do hodnocení; jejich detaily
+// (IMDb, žánr, režie...) se převezmou, takže se nemusí znovu stahovat
+async function moveRatedFromWatchlist(newItems, existingItems) {
+  let watchlist;
   try {
-    const selectors = [
-      'a.button-imdb',                     // 🆕 HLAVNÍ - přesně to co vidíš
-      '.button-imdb',                      // 🆕 BACKUP
-      'a.button.button-imdb',              // 🆕 ÚPLNÝ selektor
-      'a[href*="imdb.com/title/tt"]',      // ✅ FUNGUJE
-      'a[href*="imdb.com/title/"]',        // ✅ FUNGUJE  
-      'a[href*="://www.imdb.com/title/"]', // ✅ FUNGUJE
-      'a.imdb',                            // 🗑️ STARÝ
-      '.imdb a',                           // 🗑️ STARÝ
-      'a[href*="imdb"]',                   // ✅ OBECNÝ
-    ];
-    for (const sel of selectors) {
-      const a = await page.$(sel);
-      if (a) {
-        const href = await a.getAttribute("href");
-        if (href) {
-          const full = href.startsWith("http")
-            ? href
-            : new URL(href, page.url()).href;
-          const m = full.match(/(tt\d+)/i);
-          if (m)
-            return {
-              imdb_id: m[1],
-              imdb_url: `https://www.imdb.com/title/${m[1]}/`,
-            };
-        }
-      }
-    }
+    watchlist = JSON.parse(await fs.readFile(config.files.watchlistJson, 'utf8'));
+  } catch {
+    return { moved: [], reused: new Set() };
+  }
 
-    // Search whole HTML for imdb link  
-    const html = await page.content();
-    const m = html.match(
-      /https?:\/\/(?:www\.)?imdb\.com\/title\/(tt\d+)/i
-    );
-    if (m) {
-      return {
-        imdb_id: m[1],
-        imdb_url: `https://www.imdb.com/title/${m[1]}/`,
-      };
-    }
+  const { remaining, moved } = splitWatchlist(watchlist, [...newItems, ...existingItems]);
+  if (moved.length === 0) return { moved, reused: new Set() };
 
-    // Last resort: find ttXXXXXX and construct URL
-    const m2 = html.match(/\b(tt\d{6,})\b/i);
-    if (m2) {
-      return {
-        imdb_id: m2[1],
-        imdb_url: `https://www.imdb.com/title/${m2[1]}/`,
-      };
+  const byKey = new Map(moved.map((item) => [csfdItemKey(item.url), item]));
+  const reused = new Set();
+  for (const item of newItems) {
+    const wanted = byKey.get(csfdItemKey(item.url));
+    if (wanted && (wanted.imdb_id || wanted.original_title)) {
+      Object.assign(item, pickDetails(wanted));
+      reused.add(item);
     }
-  } catch {}
-  return { imdb_id: "", imdb_url: "" };
+  }
+
+  await saveData(remaining, config.files.watchlistJson);
+  await saveCsv(config.files.watchlistCsv, remaining, WATCHLIST_CSV_HEADER);
+  log(`👀 Z watchlistu přesunuto ${moved.length} ohodnocených titulů (${reused.size} s hotovými detaily)`);
+  return { moved, reused };
 }
 
 /** ────────────────────────────────
- *  ENRICHMENT (zjednodušené z hlavního scraperu)
+ *  ENRICHMENT (sdílené jádro csfd_core.mjs)
  *  ──────────────────────────────── */
 async function enrichNewItems(context, items) {
   if (!config.settings.enableEnrichment || items.length === 0) {
@@ -263,22 +317,8 @@ async function enrichNewItems(context, items) {
     log(`Enrichment ${i + 1}/${items.length}: ${item.title}`);
     
     try {
-      const page = await context.newPage();
-      await page.goto(item.url, { waitUntil: "domcontentloaded", timeout: 30000 });
+      Object.assign(item, await scrapeDetails(context, item));
       await sleep(config.delays.detail);
-      
-      // Cookie consent
-      try {
-        const cookieBtn = await page.$('button[id^="didomi-notice-agree-button"]');
-        if (cookieBtn) await cookieBtn.click({ timeout: 2000 }).catch(() => {});
-      } catch {}
-
-      // Extrakce dat (zjednodušené verze z hlavního scraperu)
-      await extractBasicDetails(page, item, context);
-      
-      await page.close();
-      await sleep(config.delays.detail);
-      
     } catch (error) {
       log(`Chyba při enrichment ${item.title}: ${error.message}`);
     }
@@ -288,320 +328,11 @@ async function enrichNewItems(context, items) {
   return items;
 }
 
-/** 🆕 IMDB VYHLEDÁVÁNÍ (zjednodušené z hlavního scraperu) */
-async function searchImdbByTitle(originalTitle, year, context) {
-  if (!originalTitle || originalTitle.length < 2) return { imdb_id: "", imdb_url: "" };
-  
-  const cleanedTitle = cleanTitle(originalTitle);
-  if (!cleanedTitle) return { imdb_id: "", imdb_url: "" };
-  
-  try {
-    log(`[imdb-search] Searching for: "${cleanedTitle}" (${year})`);
-    
-    const result = await performImdbSearch(cleanedTitle, year, context);
-    
-    if (result) {
-      log(`[imdb-search] Found: ${result.title} (${result.year}) - ${result.imdb_id}`);
-      return { imdb_id: result.imdb_id, imdb_url: result.imdb_url };
-    }
-    
-    log(`[imdb-search] No results found for "${cleanedTitle}"`);
-    
-  } catch (e) {
-    log(`[imdb-search] Failed to search: ${e.message}`);
-  }
-  
-  return { imdb_id: "", imdb_url: "" };
-}
-
-/** 🆕 NOVÁ FUNKCE: Provede skutečné IMDB vyhledávání */
-async function performImdbSearch(searchTitle, year, context) {
-  const page = await context.newPage();
-  
-  try {
-    const searchUrl = `https://www.imdb.com/find/?q=${encodeURIComponent(searchTitle)}&ref_=nv_sr_sm`;
-    
-    await page.goto(searchUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
-    await sleep(2000);
-    
-    // 🆕 NOVÝ PŘÍSTUP: Čti data z __NEXT_DATA__ JSON
-    let result = await tryImdbJsonData(page, searchTitle, year);
-    
-    return result;
-  } finally {
-    await page.close();
-  }
-}
-
-/** 🆕 NOVÁ FUNKCE: Čti IMDb data z __NEXT_DATA__ JSON */
-async function tryImdbJsonData(page, searchTitle, targetYear) {
-  try {
-    const result = await page.evaluate(({ title, year }) => {
-      // Najdi __NEXT_DATA__ script tag
-      const script = document.querySelector('script#__NEXT_DATA__');
-      if (!script) return null;
-      
-      try {
-        const data = JSON.parse(script.textContent);
-        
-        // Projdi titleResults v JSON data
-        const titleResults = data?.props?.pageProps?.titleResults?.results || [];
-        
-        // 🆕 VYLEPŠENÁ LOGIKA: Seřaď výsledky podle relevance
-        const scoredResults = [];
-        
-        for (const item of titleResults.slice(0, 10)) { // Zkontroluj prvních 10 výsledků
-          // 🆕 NOVÁ STRUKTURA IMDB (listopad 2025)
-          const itemTitle = item.listItem?.originalTitleText || item.titleNameText || item.titleText?.text || item.titleText || '';
-          const itemYear = item.listItem?.releaseYear || item.titleReleaseText || item.releaseYear?.year || item.releaseYear || '';
-          const imdbId = item.index || item.id || '';
-          
-          if (!imdbId || !imdbId.startsWith('tt')) continue;
-          
-          let score = 0;
-          
-          // Kontrola roku (pokud je specifikován)
-          const yearMatch = !year || !itemYear || itemYear.toString() === year.toString();
-          if (yearMatch) score += 100; // Vysoká priorita pro shodu roku
-          
-          // Kontrola shody názvu (case insensitive, partial match)
-          const titleLower = title.toLowerCase();
-          const itemTitleLower = itemTitle.toLowerCase();
-          
-          if (titleLower === itemTitleLower) {
-            score += 200; // Perfektní shoda
-          } else if (itemTitleLower.includes(titleLower)) {
-            score += 150; // Název obsahuje hledaný text
-          } else if (titleLower.includes(itemTitleLower)) {
-            score += 100; // Hledaný text obsahuje název
-          } else {
-            // Částečná shoda slov
-            const titleWords = titleLower.split(/\s+/);
-            const itemWords = itemTitleLower.split(/\s+/);
-            const matchingWords = titleWords.filter(word => 
-              itemWords.some(itemWord => itemWord.includes(word) || word.includes(itemWord))
-            );
-            score += matchingWords.length * 20;
-          }
-          
-          if (score > 0) {
-            scoredResults.push({
-              imdb_id: imdbId,
-              imdb_url: `https://www.imdb.com/title/${imdbId}/`,
-              title: itemTitle,
-              year: itemYear.toString(),
-              score: score
-            });
-          }
-        }
-        
-        // Seřaď podle skóre (nejvyšší první) a vrať nejlepší výsledek
-        if (scoredResults.length > 0) {
-          scoredResults.sort((a, b) => b.score - a.score);
-          return scoredResults[0];
-        }
-        
-        // Pokud nenajde přesný match, zkus první výsledek s podobným názvem
-        for (const item of titleResults.slice(0, 3)) {
-          // 🆕 NOVÁ STRUKTURA IMDB (listopad 2025)
-          const itemTitle = item.listItem?.originalTitleText || item.titleNameText || item.titleText?.text || item.titleText || '';
-          const imdbId = item.index || item.id || '';
-          
-          if (imdbId && imdbId.startsWith('tt') && 
-              (itemTitle.toLowerCase().includes(title.toLowerCase()) || 
-               title.toLowerCase().includes(itemTitle.toLowerCase()))) {
-            return {
-              imdb_id: imdbId,
-              imdb_url: `https://www.imdb.com/title/${imdbId}/`,
-              title: itemTitle,
-              year: (item.listItem?.releaseYear || item.titleReleaseText || item.releaseYear?.year || '').toString()
-            };
-          }
-        }
-        
-      } catch (e) {
-        console.warn('Failed to parse __NEXT_DATA__ JSON:', e);
-      }
-      
-      return null;
-    }, { title: searchTitle, year: targetYear });
-    
-    if (result) {
-      log(`[imdb-json] Found via JSON: ${result.title} (${result.year}) - ${result.imdb_id}`);
-    }
-    
-    return result;
-  } catch (e) {
-    log(`[imdb-json] JSON parsing failed: ${e.message}`);
-    return null;
-  }
-}
-
-/** 🆕 NOVÁ FUNKCE: Vyčistí název pro vyhledávání */
-function cleanTitle(title) {
-  if (!title) return "";
-  
-  return title
-    .trim()
-    .replace(/\s*\(více\)\s*$/i, '')  // Odstraň "(více)" na konci
-    .replace(/\s+/g, ' ')             // Normalizuj mezery
-    .trim();
-}
-
-// Zjednodušená extrakce základních detailů
-async function extractBasicDetails(page, item, context) {
-  try {
-    // IMDb - rozšířená extrakce
-    const imdbData = await extractImdbOnPage(page);
-    if (imdbData.imdb_id) {
-      item.imdb_id = imdbData.imdb_id;
-      item.imdb_url = imdbData.imdb_url;
-    }
-    
-    // Originální název
-    const originalEl = await page.$('.film-names li:first-child, .film-header-name .original');
-    if (originalEl) {
-      const text = await originalEl.textContent();
-      if (text) {
-        item.original_title = text.trim().replace(/\s*\(více\)\s*$/i, '');
-      }
-    }
-
-    // 🆕 FALLBACK: Hledej IMDb přes český název (priorita)
-    if (!item.imdb_id && item.title) {
-      log(`[fallback] Searching IMDb by Czech title: "${item.title}"`);
-      const searchResult = await searchImdbByTitle(item.title, item.year, context);
-      if (searchResult.imdb_id) {
-        item.imdb_id = searchResult.imdb_id;
-        item.imdb_url = searchResult.imdb_url;
-        log(`[fallback] Found IMDb via Czech title search: ${item.imdb_id}`);
-      }
-    }
-
-    // 🆕 FALLBACK: Hledej IMDb přes originální název (pokud český název neuspěl)
-    if (!item.imdb_id && item.original_title) {
-      log(`[fallback] Searching IMDb by original title: "${item.original_title}"`);
-      const searchResult = await searchImdbByTitle(item.original_title, item.year, context);
-      if (searchResult.imdb_id) {
-        item.imdb_id = searchResult.imdb_id;
-        item.imdb_url = searchResult.imdb_url;
-        log(`[fallback] Found IMDb via original title search: ${item.imdb_id}`);
-      }
-    }
-    
-    // Žánr
-    const genreEl = await page.$('.genres');
-    if (genreEl) {
-      const text = await genreEl.textContent();
-      if (text) {
-        item.genre = text.trim().split(/[,\n]/).slice(0, 3).join(", ");
-      }
-    }
-    
-    // Režisér - s fallback
-    const directorSelectors = [
-      '.creators .director a',
-      '.film-creator .director a',
-      '.film-header .director a',
-      '.film-info .director',
-      '[data-type="director"] a',
-    ];
-    
-    let director = "";
-    for (const sel of directorSelectors) {
-      const el = await page.$(sel);
-      if (el) {
-        const text = await el.textContent();
-        if (text && text.trim()) {
-          director = text.trim();
-          break;
-        }
-      }
-    }
-    
-    // Fallback pro režiséra
-    if (!director) {
-      const text = await page.$eval('body', el => el.textContent);
-      const match = text.match(/[Rr]ežie:\s*([^,\n]+)/);
-      if (match) director = match[1].trim();
-    }
-    
-    if (director) item.director = director;
-    
-    // Cast - zjednodušená verze
-    try {
-      const actors = await page.evaluate(() => {
-        const creators = document.querySelector('#creators');
-        if (!creators) return [];
-        
-        const otherProfessions = creators.querySelector('div.other-professions');
-        if (!otherProfessions) return [];
-        
-        // Najít poslední div bez třídy před div.other-professions
-        let castDiv = null;
-        let previousEl = otherProfessions.previousElementSibling;
-        while (previousEl) {
-          if (previousEl.tagName === 'DIV' && !previousEl.className) {
-            castDiv = previousEl;
-            break;
-          }
-          previousEl = previousEl.previousElementSibling;
-        }
-        
-        if (!castDiv) return [];
-        
-        // Extrahovat všechny odkazy z cast div
-        const links = castDiv.querySelectorAll('a');
-        return Array.from(links).map(link => link.textContent?.trim()).filter(Boolean);
-      });
-      
-      if (actors.length > 0) {
-        item.cast = actors.slice(0, 8).join(", ");
-      }
-    } catch {}
-    
-    // Popis (s čištěním distributor informací)
-    const plotEl = await page.$('.plot-preview, .plot-full');
-    if (plotEl) {
-      const text = await plotEl.textContent();
-      if (text && text.length > 10) {
-        // Vyčisti distributor informace a omezeň délku
-        let cleaned = text.replace(/\s+/g, ' ')
-                         .replace(/[""]/g, '"')
-                         .replace(/\s*\([^)]*Netflix[^)]*\)\s*/g, '') // Odstraň (Netflix)
-                         .replace(/\s*\([^)]*HBO[^)]*\)\s*/g, '') // Odstraň (HBO)
-                         .replace(/\s*\([^)]*Disney[^)]*\)\s*/g, '') // Odstraň (Disney)
-                         .replace(/\s*\([^)]*Amazon[^)]*\)\s*/g, '') // Odstraň (Amazon)
-                         .replace(/\s*\([^)]*Apple[^)]*\)\s*/g, '') // Odstraň (Apple)
-                         .replace(/\s*\([^)]+\)\s*\(více\)\s*$/, '') // Odstraň "(distributor) (více)"
-                         .replace(/\s*\(více\)\s*$/, '') // Odstraň "(více)" 
-                         .trim();
-        
-        // Omezeň na 200 znaků
-        if (cleaned.length > 200) {
-          const truncated = cleaned.substring(0, 200);
-          const lastDot = truncated.lastIndexOf('.');
-          if (lastDot > 100) {
-            cleaned = truncated.substring(0, lastDot + 1);
-          } else {
-            cleaned = truncated + '...';
-          }
-        }
-        
-        item.description = cleaned;
-      }
-    }
-    
-  } catch (error) {
-    log(`Chyba při extrakci detailů: ${error.message}`);
-  }
-}
-
 /** ────────────────────────────────
  *  HLAVNÍ FUNKCE
  *  ──────────────────────────────── */
 async function main() {
-  log("🚀 Spouštím inkrementální scraper...");
+  log(`🚀 Spouštím inkrementální scraper... (profil ${profile.user} → ${dataDir}/)`);
   
   // 1. Načtení existujících dat
   const existingItems = await loadExistingData();
@@ -611,40 +342,46 @@ async function main() {
   }
   
   // 2. Spuštění browseru
-  const browser = await chromium.launch({
+  const { context, close } = await openContext({
+    transport: config.browser.transport,
     headless: config.browser.headless,
-    args: ["--no-sandbox", "--disable-setuid-sandbox"]
-  });
-  
-  const context = await browser.newContext({
     userAgent: config.browser.userAgent,
-    locale: "cs-CZ"
+    args: ["--no-sandbox", "--disable-setuid-sandbox"],
+    log,
   });
   
   const page = await context.newPage();
   
-  // 3. Kontrola prvních stránek pro nové položky
+  // 3. Kontrola prvních stránek pro nové a změněné položky
+  const existingIndex = indexItems(existingItems);
   let allNewItems = [];
+  let allChangedItems = [];
   const maxPages = Math.min(config.settings.maxPagesToCheck, 10);
   
   for (let p = 1; p <= maxPages; p++) {
-    const url = p === 1 ? config.BASE_URL : `${config.BASE_URL}?page=${p}`;
+    const url = listPageUrl(config.BASE_URL, p);
     log(`📄 Kontroluji stránku ${p}: ${url}`);
     
-    const pageItems = await parseListPage(page, url);
+    let pageItems = [];
+    try {
+      pageItems = await parseListPage(page, url, `inc_p${p}`);
+    } catch (error) {
+      log(`Chyba při parsování stránky ${url}: ${error.message}`);
+    }
     if (pageItems.length === 0) {
       log("Žádné položky na stránce, končím");
       break;
     }
     
-    const newItems = findNewItems(existingItems, pageItems);
+    const { newItems, changedItems } = diffItems(existingIndex, pageItems);
     allNewItems.push(...newItems);
+    allChangedItems.push(...changedItems);
     
-    log(`Stránka ${p}: ${newItems.length} nových z ${pageItems.length} celkem`);
+    log(`Stránka ${p}: ${newItems.length} nových, ${changedItems.length} změněných z ${pageItems.length} celkem`);
     
-    // Pokud nenajdeme nové položky na první stránce, pravděpodobně není co přidat
-    if (p === 1 && newItems.length === 0) {
-      log("✅ Žádné nové položky na první stránce - vše je aktuální");
+    // Přehodnocené tituly se na ČSFD řadí nahoru - bez změn na první stránce není co přidat
+    if (p === 1 && newItems.length === 0 && changedItems.length === 0) {
+      log("✅ Žádné nové ani změněné položky na první stránce - vše je aktuální");
       break;
     }
     
@@ -657,45 +394,67 @@ async function main() {
     await sleep(config.delays.pagination);
   }
   
-  // 4. Enrichment nových položek
+  // 4. Přesun ohodnocených z watchlistu + enrichment zbylých nových položek
+  const watchlist = await moveRatedFromWatchlist(allNewItems, existingItems);
   if (allNewItems.length > 0) {
     log(`🎯 Nalezeno ${allNewItems.length} nových položek - začínám enrichment`);
-    await enrichNewItems(context, allNewItems);
-    
-    // 5. Uložení nových položek
-    await saveData(allNewItems, config.files.newItemsJson);
+    await enrichNewItems(context, allNewItems.filter((item) => !watchlist.reused.has(item)));
+  }
+  
+  // 4b) Ruční opravy (csfd_overrides.json) - u nových po enrichmentu, u existujících nově přidané
+  applyOverrides(allNewItems, undefined, { fresh: true });
+  const overriddenItems = applyOverrides(existingItems);
+  if (overriddenItems > 0) log(`✏️ Ruční opravy použity u ${overriddenItems} existujících položek`);
+  
+  // 5. Rekonciliace smazaných hodnocení (volitelně, --reconcile)
+  let deletedItems = [];
+  if (config.settings.reconcile) {
+    log("🧮 Rekonciliace smazaných hodnocení...");
+    deletedItems = await findDeletedItems(page, [...allNewItems, ...existingItems]);
+  }
+  
+  let totalItems = existingItems.length;
+  let changedRecords = [];
+  let deletedRecords = [];
+  
+  if (allNewItems.length > 0 || allChangedItems.length > 0 || deletedItems.length > 0 || overriddenItems > 0) {
+    // 6. Záloha před změnami (změny a smazání se zapisují do existujících záznamů)
+    await createBackup(existingItems);
+    changedRecords = applyChanges(allChangedItems);
+    deletedRecords = markDeleted(deletedItems);
+    allNewItems.forEach((item) => appendRatingHistory(item)); // První stav nových hodnocení
     
-    // 6. Přidání do hlavního souboru - nové položky na začátek (nejnovější)
+    // 7. Přidání do hlavního souboru - nové položky na začátek (nejnovější)
     const updatedItems = [...allNewItems, ...existingItems];
-    await createBackup(existingItems);
+    totalItems = updatedItems.length;
     await saveData(updatedItems, config.files.mainJson);
+    await saveCsvData(updatedItems);
     
-    // 7. Uložení stavu
-    const state = {
-      lastRun: new Date().toISOString(),
-      newItemsFound: allNewItems.length,
-      totalItems: updatedItems.length,
-      pagesChecked: maxPages
-    };
-    await saveData(state, config.files.stateJson);
-    
-    log(`✅ Úspěšně přidáno ${allNewItems.length} nových položek`);
-    log(`📊 Celkem položek: ${updatedItems.length}`);
-    
+    log(`✅ Přidáno ${allNewItems.length} nových, aktualizováno ${changedRecords.length} změněných, smazáno ${deletedRecords.length} položek`);
+    log(`📊 Celkem položek: ${totalItems}`);
   } else {
-    log("✅ Žádné nové položky nenalezeny - vše je aktuální");
+    log("✅ Žádné nové, změněné ani smazané položky - vše je aktuální");
     
-    // Uložení stavu i při žádných nových položkách
-    const state = {
-      lastRun: new Date().toISOString(),
-      newItemsFound: 0,
-      totalItems: existingItems.length,
-      pagesChecked: maxPages
-    };
-    await saveData(state, config.files.stateJson);
+    // CSV se přegeneruje i bez změn, aby odpovídalo JSON
+    await saveCsvData(existingItems);
   }
   
-  await browser.close();
+  // 8. Report tohoto běhu (nové, změněné a smazané zvlášť) + stav
+  await saveData({ new: allNewItems, changed: changedRecords, deleted: deletedRecords }, config.files.newItemsJson);
+  
+  const state = {
+    lastRun: new Date().toISOString(),
+    newItemsFound: allNewItems.length,
+    changedItemsFound: changedRecords.length,
+    deletedItemsFound: deletedRecords.length,
+    movedFromWatchlist: watchlist.moved.length,
+    totalItems,
+    pagesChecked: maxPages,
+    reconciled: config.settings.reconcile,
+  };
+  await saveData(state, config.files.stateJson);
+  
+  await close();
   log("🏁 Inkrementální scraper dokončen");
 }
 
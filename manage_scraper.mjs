@@ -4,18 +4,55 @@
 import fs from "node:fs/promises";
 import { exec } from "child_process";
 import { promisify } from "util";
+import {
+  cliOption,
+  resolveProfile,
+  listProfiles,
+  communityDeviation,
+  needsImdbReview,
+  loadOverrides,
+  resolveOverridesFile,
+  saveJson,
+  saveCsv,
+  WATCHLIST_CSV_HEADER,
+} from "./csfd_core.mjs";
+import { validateDataset, validateOverrides, summarizeIssues, repairDataset } from "./csfd_dataset.mjs";
 
 const execAsync = promisify(exec);
 
 const config = {
   files: {
-    mainJson: "data/csfd_ratings.json",
-    newItems: "data/new_items.json",
-    state: "data/incremental_state.json",
     schedule: "data/schedule_config.json",
   }
 };
 
+// Soubory jednoho profilu - data/ pro hlavní, data/users/<user>/ pro ostatní
+const profileFiles = (dataDir) => ({
+  mainJson: `${dataDir}/csfd_ratings.json`,
+  mainCsv: `${dataDir}/csfd_ratings.csv`,
+  watchlist: `${dataDir}/csfd_watchlist.json`,
+  watchlistCsv: `${dataDir}/csfd_watchlist.csv`,
+  repairReport: `${dataDir}/repair_report.json`,
+  newItems: `${dataDir}/new_items.json`,
+  state: `${dataDir}/incremental_state.json`,
+  cache: `${dataDir}/scraper_cache.json`,
+  scraperState: `${dataDir}/scraper_state.json`,
+  backfillState: `${dataDir}/backfill_state.json`,
+});
+
+// --user (nebo CSFD_USER) vybere jeden profil, jinak všechny známé
+async function selectProfiles() {
+  if (cliOption("user", "CSFD_USER") || cliOption("data-dir", "CSFD_DATA_DIR")) return [resolveProfile()];
+  return listProfiles();
+}
+
+const profileHeader = (profile, profiles) => {
+  if (profiles.length > 1) log(`\n👤 Profil ${profile.user} (${profile.dataDir}/)`);
+};
+
+// Předání --user dál do scraperů
+const userArg = () => (cliOption("user", "CSFD_USER") ? ` --user ${resolveProfile().user}` : "");
+
 /** ────────────────────────────────
  *  POMOCNÉ FUNKCE
  *  ──────────────────────────────── */
@@ -46,6 +83,13 @@ async function getFileStats(filename) {
   }
 }
 
+// Report posledního běhu - { new, changed, deleted } (starší formát: pole nových položek)
+function normalizeRunReport(data) {
+  if (!data) return { new: [], changed: [], deleted: [] };
+  if (Array.isArray(data)) return { new: data, changed: [], deleted: [] };
+  return { new: data.new || [], changed: data.changed || [], deleted: data.deleted || [] };
+}
+
 function formatBytes(bytes) {
   if (bytes === 0) return '0 B';
   const k = 1024;
@@ -61,53 +105,68 @@ async function showStatus() {
   log("📊 Stav CSFD scraperu");
   log("=" .repeat(50));
   
+  const profiles = await selectProfiles();
+  for (const profile of profiles) {
+    profileHeader(profile, profiles);
+    await showProfileStatus(profileFiles(profile.dataDir));
+  }
+  
+  // Schedule (společný pro všechny profily)
+  const schedule = await loadJsonFile(config.files.schedule);
+  if (schedule) {
+    log(`📅 Schedule: ${schedule.frequency}`);
+    log(`   Cron: ${schedule.cron}`);
+    log(`   Max stránek: ${schedule.maxPages}`);
+  } else {
+    log("ℹ️ Žádný schedule nenalezen");
+  }
+}
+
+async function showProfileStatus(files) {
   // Hlavní dataset
-  const mainStats = await getFileStats(config.files.mainJson);
+  const mainStats = await getFileStats(files.mainJson);
   if (mainStats.exists) {
-    const mainData = await loadJsonFile(config.files.mainJson);
+    const mainData = await loadJsonFile(files.mainJson);
     log(`📁 Hlavní dataset: ${mainStats.sizeFormatted} (${mainData?.length || 0} položek)`);
     log(`   Poslední změna: ${mainStats.modified.toLocaleString('cs-CZ')}`);
   } else {
     log("❌ Hlavní dataset nenalezen");
   }
   
+  // Watchlist ("chci vidět", scrape_csfd.mjs --watchlist)
+  const watchlist = await loadJsonFile(files.watchlist);
+  if (watchlist) log(`👀 Chci vidět: ${watchlist.length} titulů`);
+  
   // Nové položky
-  const newStats = await getFileStats(config.files.newItems);
+  const newStats = await getFileStats(files.newItems);
   if (newStats.exists) {
-    const newData = await loadJsonFile(config.files.newItems);
-    log(`🆕 Nové položky: ${newStats.sizeFormatted} (${newData?.length || 0} položek)`);
+    const report = normalizeRunReport(await loadJsonFile(files.newItems));
+    log(`🆕 Report běhu: ${newStats.sizeFormatted} (${report.new.length} nových, ${report.changed.length} změněných, ${report.deleted.length} smazaných)`);
     log(`   Poslední změna: ${newStats.modified.toLocaleString('cs-CZ')}`);
   } else {
     log("ℹ️ Žádné nové položky");
   }
   
   // Stav
-  const state = await loadJsonFile(config.files.state);
+  const state = await loadJsonFile(files.state);
   if (state) {
     log(`🔄 Poslední běh: ${new Date(state.lastRun).toLocaleString('cs-CZ')}`);
     log(`   Nalezeno nových: ${state.newItemsFound}`);
+    log(`   Změněná hodnocení: ${state.changedItemsFound || 0}`);
+    log(`   Smazaná hodnocení: ${state.deletedItemsFound || 0}${state.reconciled ? '' : ' (bez rekonciliace)'}`);
+    if (state.movedFromWatchlist) log(`   Přesunuto z watchlistu: ${state.movedFromWatchlist}`);
     log(`   Celkem položek: ${state.totalItems}`);
     log(`   Zkontrolované stránky: ${state.pagesChecked}`);
   } else {
     log("ℹ️ Žádný stav nenalezen");
   }
-  
-  // Schedule
-  const schedule = await loadJsonFile(config.files.schedule);
-  if (schedule) {
-    log(`📅 Schedule: ${schedule.frequency}`);
-    log(`   Cron: ${schedule.cron}`);
-    log(`   Max stránek: ${schedule.maxPages}`);
-  } else {
-    log("ℹ️ Žádný schedule nenalezen");
-  }
 }
 
 async function testIncremental() {
   log("🧪 Testování inkrementálního scraperu...");
   
   try {
-    const { stdout, stderr } = await execAsync("node incremental_scraper.mjs");
+    const { stdout, stderr } = await execAsync(`node incremental_scraper.mjs${userArg()}`);
     log("✅ Inkrementální scraper dokončen");
     if (stdout) log("Output:", stdout);
     if (stderr) log("Errors:", stderr);
@@ -120,7 +179,7 @@ async function testFullScraper() {
   log("🏭 Testování plného scraperu (malý test)...");
   
   try {
-    const { stdout, stderr } = await execAsync("node scrape_csfd.mjs --maxItems 5 --verbose");
+    const { stdout, stderr } = await execAsync(`node scrape_csfd.mjs --maxItems 5 --verbose${userArg()}`);
     log("✅ Plný scraper dokončen");
     if (stdout) log("Output:", stdout);
     if (stderr) log("Errors:", stderr);
@@ -143,31 +202,64 @@ async function updateSchedule() {
 }
 
 async function showRecentItems() {
+  const profiles = await selectProfiles();
+  for (const profile of profiles) {
+    profileHeader(profile, profiles);
+    await showProfileRecentItems(profileFiles(profile.dataDir));
+  }
+}
+
+async function showProfileRecentItems(files) {
   log("🆕 Posledních 10 nových položek:");
   
-  const newData = await loadJsonFile(config.files.newItems);
-  if (!newData || newData.length === 0) {
+  const report = normalizeRunReport(await loadJsonFile(files.newItems));
+  if (report.new.length === 0) {
     log("ℹ️ Žádné nové položky");
-    return;
   }
   
-  const recent = newData.slice(-10);
+  const recent = report.new.slice(-10);
   recent.forEach((item, i) => {
     log(`${i + 1}. ${item.title} (${item.year}) - ${item.type} - ⭐${item.rating}`);
     if (item.imdb_id) log(`   IMDb: ${item.imdb_id}`);
     if (item.genre) log(`   Žánr: ${item.genre}`);
   });
+  
+  if (report.changed.length > 0) {
+    log("🔁 Změněná hodnocení:");
+    report.changed.forEach((item, i) => {
+      log(`${i + 1}. ${item.title} (${item.year}) - ⭐${item.previous?.rating || '-'} → ⭐${item.rating} (${item.ratingDate})`);
+    });
+  }
+  
+  if (report.deleted.length > 0) {
+    log("🗑️ Smazaná hodnocení:");
+    report.deleted.forEach((item, i) => {
+      log(`${i + 1}. ${item.title} (${item.year}) - ⭐${item.rating || '-'} (smazáno ${item.deletedAt})`);
+    });
+  }
 }
 
 async function showStats() {
+  const profiles = await selectProfiles();
+  for (const profile of profiles) {
+    profileHeader(profile, profiles);
+    await showProfileStats(profileFiles(profile.dataDir));
+  }
+}
+
+async function showProfileStats(files) {
   log("📈 Statistiky datasetu:");
   
-  const mainData = await loadJsonFile(config.files.mainJson);
-  if (!mainData) {
+  const allData = await loadJsonFile(files.mainJson);
+  if (!allData) {
     log("❌ Hlavní dataset nenalezen");
     return;
   }
   
+  // Smazaná hodnocení (tombstone) se do statistik nepočítají
+  const mainData = allData.filter(item => !item.deletedAt);
+  const deletedCount = allData.length - mainData.length;
+  
   const stats = {
     total: mainData.length,
     withImdb: mainData.filter(item => item.imdb_id).length,
@@ -181,6 +273,7 @@ async function showStats() {
   };
   
   log(`📊 Celkem položek: ${stats.total}`);
+  if (deletedCount) log(`🗑️ Smazaná hodnocení (mimo statistiky): ${deletedCount}`);
   log(`🎬 Filmy: ${stats.films}`);
   log(`📺 Seriály: ${stats.series}`);
   log(`📝 Epizody: ${stats.episodes}`);
@@ -207,15 +300,213 @@ async function showStats() {
     });
 }
 
+// Největší rozdíly mezi vlastním hodnocením (hvězdy × 20) a průměrem ČSFD komunity
+async function showDeviations() {
+  const limit = Number(cliOption("limit", null, "15")) || 15;
+  const profiles = await selectProfiles();
+  for (const profile of profiles) {
+    profileHeader(profile, profiles);
+    await showProfileDeviations(profileFiles(profile.dataDir), limit);
+  }
+}
+
+async function showProfileDeviations(files, limit) {
+  log("⚖️ Vlastní hodnocení vs. ČSFD komunita:");
+  
+  const allData = await loadJsonFile(files.mainJson);
+  if (!allData) {
+    log("❌ Hlavní dataset nenalezen");
+    return;
+  }
+  
+  const rated = allData
+    .filter(item => !item.deletedAt)
+    .map(item => ({ item, deviation: communityDeviation(item) }))
+    .filter(({ deviation }) => deviation !== null);
+  
+  if (rated.length === 0) {
+    log("ℹ️ Žádné položky s průměrem komunity (csfd_rating) - doplní je enrichment detailů");
+    return;
+  }
+  
+  const average = rated.reduce((sum, { deviation }) => sum + deviation, 0) / rated.length;
+  log(`📊 Položek s průměrem komunity: ${rated.length}, průměrná odchylka: ${average >= 0 ? '+' : ''}${average.toFixed(1)} %`);
+  
+  const printList = (title, list) => {
+    if (list.length === 0) return;
+    log(title);
+    list.forEach(({ item, deviation }, i) => {
+      const votes = item.csfd_votes ? `, ${item.csfd_votes} hodnocení` : '';
+      log(`${(i + 1).toString().padStart(2)}. ${item.title} (${item.year}) - ⭐${item.rating || 0} vs. ${item.csfd_rating}%${votes} → ${deviation > 0 ? '+' : ''}${deviation}`);
+    });
+  };
+  
+  const sorted = [...rated].sort((a, b) => b.deviation - a.deviation);
+  printList("\n📈 Hodnotím výš než komunita:", sorted.filter(({ deviation }) => deviation > 0).slice(0, limit));
+  printList("\n📉 Hodnotím níž než komunita:", sorted.filter(({ deviation }) => deviation < 0).reverse().slice(0, limit));
+}
+
+// Nejisté IMDb shody (hledání s nízkým skóre) s dalšími kandidáty k ruční kontrole
+async function showImdbReview() {
+  const limit = Number(cliOption("limit", null, "20")) || 20;
+  const profiles = await selectProfiles();
+  for (const profile of profiles) {
+    profileHeader(profile, profiles);
+    await showProfileImdbReview(profileFiles(profile.dataDir), limit);
+  }
+}
+
+async function showProfileImdbReview(files, limit) {
+  log("🔍 IMDb shody ke kontrole:");
+
+  const allData = await loadJsonFile(files.mainJson);
+  if (!allData) {
+    log("❌ Hlavní dataset nenalezen");
+    return;
+  }
+
+  const flagged = allData
+    .filter(item => !item.deletedAt && needsImdbReview(item))
+    .sort((a, b) => Number(a.imdb_match_score) - Number(b.imdb_match_score));
+  const bySource = {};
+  allData.forEach(item => {
+    if (item.imdb_id) bySource[item.imdb_match_source || 'neznámý'] = (bySource[item.imdb_match_source || 'neznámý'] || 0) + 1;
+  });
+  log(`📊 Zdroje IMDb: ${Object.entries(bySource).map(([source, count]) => `${source} ${count}`).join(', ')}`);
+
+  if (flagged.length === 0) {
+    log("✅ Žádné nejisté shody");
+    return;
+  }
+
+  log(`⚠️ Nejistých shod: ${flagged.length}`);
+  flagged.slice(0, limit).forEach((item, i) => {
+    log(`${(i + 1).toString().padStart(2)}. ${item.title} (${item.year}) → ${item.imdb_id}, ${item.imdb_match_source}, skóre ${item.imdb_match_score}`);
+    log(`    ${item.url}`);
+    (item.imdb_candidates || []).forEach(({ imdb_id, title, year, score }) =>
+      log(`    ↳ ${imdb_id} ${title} (${year || '?'}) - ${score}`));
+  });
+}
+
+// Kontrola datasetu - chyby ukončí proces nenulovým kódem (workflow pak necommitne)
+async function validate() {
+  const limit = Number(cliOption("limit", null, "5")) || 5;
+  const strict = process.argv.includes("--strict");
+  const overrides = loadOverrides();
+  let failed = false;
+
+  // Ruční opravy (csfd_overrides.json) jsou společné všem profilům
+  const overrideIssues = validateOverrides(overrides);
+  if (overrides.size > 0) log(`✏️ ${resolveOverridesFile()}: ${overrides.size} ručních oprav, ${overrideIssues.length} chyb`);
+  overrideIssues.forEach(({ url, message }) => log(`  ❌ ${url}: ${message}`));
+  if (overrideIssues.length > 0) failed = true;
+
+  const profiles = await selectProfiles();
+  for (const profile of profiles) {
+    profileHeader(profile, profiles);
+    const files = profileFiles(profile.dataDir);
+    for (const file of [files.mainJson, files.watchlist]) {
+      failed = (await validateFile(file, limit, strict, overrides)) || failed;
+    }
+  }
+  if (failed) process.exitCode = 1;
+}
+
+async function validateFile(filename, limit, strict, overrides) {
+  const data = await loadJsonFile(filename);
+  if (!data) {
+    // Chybějící watchlist je v pořádku, chybějící hlavní dataset ne
+    if (filename.endsWith("csfd_ratings.json")) {
+      log(`❌ ${filename}: dataset nenalezen nebo nečitelný`);
+      return true;
+    }
+    return false;
+  }
+  if (!Array.isArray(data)) {
+    log(`❌ ${filename}: očekáváno pole záznamů`);
+    return true;
+  }
+
+  const issues = validateDataset(data, { overrides });
+  const errors = issues.filter(issue => issue.severity === "error").length;
+  const warnings = issues.length - errors;
+  log(`🔎 ${filename}: ${data.length} záznamů, ${errors} chyb, ${warnings} varování`);
+
+  for (const { code, severity, count, examples } of summarizeIssues(issues)) {
+    log(`  ${severity === "error" ? '❌' : '⚠️'} ${code}: ${count}`);
+    examples.slice(0, limit).forEach(({ index, title, message }) => log(`      #${index} ${title}: ${message}`));
+  }
+
+  const failed = errors > 0 || (strict && warnings > 0);
+  log(failed ? `❌ ${filename} neprošel kontrolou` : `✅ ${filename} je v pořádku`);
+  return failed;
+}
+
+// Offline opravy - záloha, přepis JSON + CSV a report změn po polích (--dry-run jen vypíše)
+async function repair() {
+  const dryRun = process.argv.includes("--dry-run");
+  const limit = Number(cliOption("limit", null, "5")) || 5;
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const overrides = loadOverrides(); // ruční opravy se při repair použijí také
+  const profiles = await selectProfiles();
+  for (const profile of profiles) {
+    profileHeader(profile, profiles);
+    const files = profileFiles(profile.dataDir);
+    const report = { repairedAt: new Date().toISOString(), dryRun, files: {} };
+    const targets = [
+      { json: files.mainJson, csv: files.mainCsv, backup: `${profile.dataDir}/csfd_ratings_backup_${timestamp}.json` },
+      { json: files.watchlist, csv: files.watchlistCsv, backup: `${profile.dataDir}/csfd_watchlist_backup_${timestamp}.json`, header: WATCHLIST_CSV_HEADER },
+    ];
+    for (const target of targets) {
+      const changes = await repairFile(target, dryRun, limit, overrides);
+      if (changes?.length) report.files[target.json] = { counts: countByField(changes), changes };
+    }
+    if (!dryRun && Object.keys(report.files).length > 0) {
+      await saveJson(files.repairReport, report);
+      log(`📝 Report změn: ${files.repairReport}`);
+    }
+  }
+}
+
+const countByField = (changes) =>
+  changes.reduce((counts, { field }) => ({ ...counts, [field]: (counts[field] || 0) + 1 }), {});
+
+async function repairFile({ json, csv, backup, header }, dryRun, limit, overrides) {
+  const data = await loadJsonFile(json);
+  if (!Array.isArray(data)) return null;
+
+  const original = structuredClone(data);
+  const changes = repairDataset(data, { overrides });
+  log(`🔧 ${json}: ${data.length} záznamů, ${changes.length} oprav`);
+
+  const byField = new Map();
+  changes.forEach(change => byField.set(change.field, [...(byField.get(change.field) || []), change]));
+  for (const [field, list] of byField) {
+    log(`  ✏️ ${field}: ${list.length}`);
+    list.slice(0, limit).forEach(({ index, title, from, to }) =>
+      log(`      #${index} ${title}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`));
+  }
+
+  if (changes.length > 0 && !dryRun) {
+    await saveJson(backup, original);
+    await saveJson(json, data);
+    await saveCsv(csv, data, header);
+    log(`💾 Uloženo (záloha: ${backup})`);
+  }
+
+  // Co oprava nezvládne (nečitelná data, neplatné hodnocení, ...), musí se řešit ručně
+  const remaining = validateDataset(data, { overrides }).filter(issue => issue.severity === "error");
+  if (remaining.length > 0) log(`⚠️ Zbývá ${remaining.length} chyb - viz node manage_scraper.mjs validate`);
+  return changes;
+}
+
 async function cleanup() {
   log("🧹 Čištění dočasných souborů...");
   
-  const filesToClean = [
-    "data/new_items.json",
-    "data/incremental_state.json",
-    "data/scraper_cache.json",
-    "data/scraper_state.json"
-  ];
+  const filesToClean = (await selectProfiles()).flatMap(({ dataDir }) => {
+    const files = profileFiles(dataDir);
+    return [files.newItems, files.state, files.cache, files.scraperState, files.backfillState];
+  });
   
   for (const file of filesToClean) {
     try {
@@ -247,13 +538,26 @@ async function showHelp() {
   log("  test-full       - Testovat plný scraper (malý test)");
   log("  update-schedule - Aktualizovat schedule");
   log("  recent          - Zobrazit poslední nové položky");
+  log("  deviations      - Největší rozdíly vlastního hodnocení a průměru ČSFD");
+  log("  imdb-review     - Nejisté IMDb shody z hledání a jejich další kandidáti");
+  log("  validate        - Zkontrolovat dataset a csfd_overrides.json (chyby → nenulový exit kód)");
+  log("  repair          - Offline opravy datasetu vč. ručních oprav (záloha + repair_report.json)");
   log("  cleanup         - Vyčistit dočasné soubory");
   log("  help            - Zobrazit tuto nápovědu");
   log("");
+  log("Volby:");
+  log("  --user USER     - Jen jeden profil (jinak všechny z csfd_config.json a data/users/)");
+  log("  --limit N       - Počet titulů v reportu deviations (15) / imdb-review (20) / příkladů ve validate a repair (5)");
+  log("  --strict        - validate selže i na varováních");
+  log("  --dry-run       - repair jen vypíše změny, nic nezapíše");
+  log("  --overrides FILE - Soubor ručních oprav (výchozí csfd_overrides.json)");
+  log("");
   log("Příklady:");
   log("  node manage_scraper.mjs status");
   log("  node manage_scraper.mjs test-inc");
   log("  node manage_scraper.mjs stats");
+  log("  node manage_scraper.mjs validate --strict");
+  log("  node manage_scraper.mjs status --user 12345-kolega");
 }
 
 /** ────────────────────────────────
@@ -281,6 +585,18 @@ async function main() {
     case 'recent':
       await showRecentItems();
       break;
+    case 'deviations':
+      await showDeviations();
+      break;
+    case 'imdb-review':
+      await showImdbReview();
+      break;
+    case 'validate':
+      await validate();
+      break;
+    case 'repair':
+      await repair();
+      break;
     case 'cleanup':
       await cleanup();
       break;
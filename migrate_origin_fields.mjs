@@ -0,0 +1,172 @@
+// Migrace: doplnění země původu, stopáže a české premiéry (country, runtime, premiere_cz)
+// Nejdřív z cache plného scraperu (scraper_cache.json), zbytek cíleným stažením
+// detailu - jen řádek původu a premiéry, bez IMDb hledání.
+//
+//   node migrate_origin_fields.mjs [--limit 200] [--cache-only] [--transport http]
+
+import fs from "node:fs/promises";
+import {
+  configure,
+  sleep,
+  cliOption,
+  scrapeDetailFields,
+  extractOriginFieldsOnPage,
+  ORIGIN_FIELDS,
+  isDeleted,
+  loadOverrides,
+  overrideFor,
+  overrideFields,
+  applyOverride,
+  applyOverrides,
+  resolveOrigins,
+  resolveProfile,
+  saveJson,
+  saveCsv,
+} from "./csfd_core.mjs";
+import { openContext, resolveTransport } from "./csfd_transport.mjs";
+
+const { dataDir } = resolveProfile(); // --user / --data-dir
+
+const config = {
+  files: {
+    mainJson: `${dataDir}/csfd_ratings.json`,
+    mainCsv: `${dataDir}/csfd_ratings.csv`,
+    cache: `${dataDir}/scraper_cache.json`,
+    backupJson: `${dataDir}/csfd_ratings_backup_${new Date().toISOString().replace(/[:.]/g, '-')}.json`,
+  },
+  browser: {
+    transport: resolveTransport(),
+    headless: true,
+    userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125 Safari/537.36",
+  },
+  delays: {
+    detail: 1000,
+  },
+  // Kolik detailů stáhnout za jeden běh (zbytek příště)
+  maxFetch: Number(cliOption("limit", null, "200")) || 200,
+  cacheOnly: process.argv.includes("--cache-only"),
+  saveEvery: 25,
+};
+
+configure({ origins: resolveOrigins(), overrides: loadOverrides() });
+
+const cacheKey = (item) => `${item.url}::details`;
+const hasOriginFields = (entry) => Boolean(entry) && ORIGIN_FIELDS.some((f) => f in entry);
+
+// Pole z ruční opravy se nepočítá - záznam s opravenou jen zemí potřebuje i stopáž a premiéru
+function needsOriginFields(item) {
+  const overridden = overrideFields(overrideFor(item));
+  const own = ORIGIN_FIELDS.filter((f) => !(f in overridden));
+  return own.length > 0 && !own.some((f) => f in item);
+}
+
+async function loadCache() {
+  try {
+    return JSON.parse(await fs.readFile(config.files.cache, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+async function save(data, cache) {
+  await saveJson(config.files.mainJson, data);
+  await saveCsv(config.files.mainCsv, data);
+  await saveJson(config.files.cache, cache);
+}
+
+// === MAIN SCRIPT ===
+
+async function main() {
+  console.log("🧭 Migrace - země původu, stopáž a česká premiéra\n");
+
+  const data = JSON.parse(await fs.readFile(config.files.mainJson, 'utf8'));
+  const cache = await loadCache();
+
+  // Ruční opravy (csfd_overrides.json) - znovu po doplnění z cache i po stažení, aby vyhrály
+  applyOverrides(data);
+  const applyOverrideTo = (item) => applyOverride(item, overrideFor(item), { fresh: ORIGIN_FIELDS });
+
+  // 1. Záznamy, které ještě nemají žádné z nových polí
+  const missing = data.filter((item) => !isDeleted(item) && needsOriginFields(item));
+  console.log(`📊 Celkem položek: ${data.length}, bez nových polí: ${missing.length}`);
+
+  if (missing.length === 0) {
+    console.log("✅ Všechny položky jsou zmigrované!");
+    return;
+  }
+
+  await saveJson(config.files.backupJson, data);
+  console.log(`💾 Záloha vytvořena: ${config.files.backupJson}\n`);
+
+  // 2. Doplnění z cache (prázdné hodnoty z cache = detail je nemá, znovu se nestahuje)
+  const toFetch = [];
+  let fromCache = 0;
+  for (const item of missing) {
+    const entry = cache[cacheKey(item)];
+    if (hasOriginFields(entry)) {
+      for (const field of ORIGIN_FIELDS) item[field] = entry[field] || "";
+      applyOverrideTo(item);
+      fromCache++;
+    } else {
+      toFetch.push(item);
+    }
+  }
+  console.log(`📦 Z cache: ${fromCache}, ke stažení: ${toFetch.length}`);
+
+  // 3. Cílené stažení detailů
+  const batch = config.cacheOnly ? [] : toFetch.slice(0, config.maxFetch);
+  const counts = Object.fromEntries(ORIGIN_FIELDS.map((f) => [f, 0]));
+  let failed = 0;
+
+  if (batch.length > 0) {
+    console.log(`🎯 Stahuji ${batch.length} detailů...\n`);
+    const { context, close } = await openContext({
+      transport: config.browser.transport,
+      headless: config.browser.headless,
+      userAgent: config.browser.userAgent,
+      args: ["--no-sandbox", "--disable-setuid-sandbox"],
+    });
+
+    try {
+      for (let i = 0; i < batch.length; i++) {
+        const item = batch[i];
+        try {
+          const fields = await scrapeDetailFields(context, item, extractOriginFieldsOnPage);
+          Object.assign(item, fields);
+          applyOverrideTo(item);
+          // Jen do existujícího záznamu - samotná tři pole by plný scraper vzal jako hotový detail
+          if (cache[cacheKey(item)]) Object.assign(cache[cacheKey(item)], fields);
+          ORIGIN_FIELDS.forEach((f) => fields[f] && counts[f]++);
+          console.log(`[${i + 1}/${batch.length}] ${item.title} (${item.year}): ${fields.country || '-'}, ${fields.runtime || '-'} min, premiéra ${fields.premiere_cz || '-'}`);
+        } catch (error) {
+          failed++;
+          console.log(`[${i + 1}/${batch.length}] ⚠️ ${item.title}: ${error.message}`);
+        }
+
+        // Průběžné uložení - přerušený běh nepřijde o hotovou práci
+        if ((i + 1) % config.saveEvery === 0) await save(data, cache);
+        await sleep(config.delays.detail);
+      }
+    } finally {
+      await close();
+    }
+  }
+
+  await save(data, cache);
+  console.log(`\n💾 Data uložena do ${config.files.mainJson} a ${config.files.mainCsv}`);
+
+  // 4. Souhrn
+  const remaining = toFetch.length - batch.length + failed;
+  console.log(`\n📊 Souhrn:`);
+  console.log(`  📦 Z cache: ${fromCache}`);
+  console.log(`  🌐 Staženo: ${batch.length - failed} (${ORIGIN_FIELDS.map((f) => `${f}: ${counts[f]}`).join(", ")})`);
+  console.log(`  ❌ Selhalo: ${failed}`);
+  if (remaining > 0) console.log(`  ⏭️ Zbývá: ${remaining} - spusť migraci znovu`);
+  console.log(`\n✅ Hotovo!`);
+}
+
+main().catch(error => {
+  console.error("💥 FATAL ERROR:", error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
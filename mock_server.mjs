@@ -0,0 +1,392 @@
+// Lokální mock ČSFD + IMDb pro end-to-end běhy scraperů bez živého webu
+// Servíruje stránkované hodnocení, recenze a "chci vidět", detaily filmů, IMDb hledání a seznamy epizod vygenerované
+// z fixture datasetu (test/fixtures/mock_ratings.json) a umí simulovat
+// zpoždění, 5xx chyby, prázdné stránky a cookie lištu.
+//
+//   node mock_server.mjs --port 4010 --fail-first 1 --cookie-banner
+//   node incremental_scraper.mjs --transport http --base-url http://127.0.0.1:4010 \
+//     --imdb-base-url http://127.0.0.1:4010 --data-dir /tmp/csfd-mock
+
+import http from "node:http";
+import fs from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { sleep, csfdItemKey, cliOption } from "./csfd_core.mjs";
+
+/** ────────────────────────────────
+ *  CONFIG
+ *  ──────────────────────────────── */
+const defaults = {
+  host: "127.0.0.1",
+  port: 0,                                        // 0 = libovolný volný port
+  dataset: new URL("./test/fixtures/mock_ratings.json", import.meta.url),
+  records: null,                                  // Přímo předané záznamy místo datasetu
+  watchlist: [],                                  // Záznamy "chci vidět" (title, year, type, addedDate, url)
+  perPage: 50,                                    // Stejně jako ČSFD
+  delay: 0,                                       // ms před každou odpovědí
+  errorRate: 0,                                   // Pravděpodobnost náhodné 503
+  failFirst: 0,                                   // Prvních N požadavků na každou URL → 503
+  errorStatus: 503,
+  emptyPages: [],                                 // Stránky hodnocení bez řádků
+  cookieBanner: false,                            // Didomi lišta na každé ČSFD stránce
+  imdbEpisodes: {},                               // IMDb seznamy epizod: tt seriálu → [{ id, season, episode, title }]
+  log: () => {},
+};
+
+const TYPE_LABELS = { season: "série", episode: "epizoda", series: "seriál" };
+const CREATOR_LABELS = { directors: "Režie", screenplay: "Scénář", novel: "Předloha", camera: "Kamera", music: "Hudba", actors: "Hrají" };
+
+/** ────────────────────────────────
+ *  HTML RENDERING
+ *  ──────────────────────────────── */
+const esc = (value = "") =>
+  String(value).replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+
+const cookieBannerHtml = `
+<div id="didomi-host">
+	<div id="didomi-notice">
+		<p>Pro správné fungování webu používáme cookies.</p>
+		<button id="didomi-notice-agree-button" onclick="document.getElementById('didomi-host').remove()">Souhlasím</button>
+	</div>
+</div>`;
+
+function layout(title, body, options) {
+  return `<!DOCTYPE html>
+<html lang="cs">
+<head>
+	<meta charset="utf-8">
+	<title>${esc(title)} | ČSFD.cz</title>
+</head>
+<body>
+${options.cookieBanner ? cookieBannerHtml : ""}
+<div class="page-content">
+${body}
+</div>
+</body>
+</html>`;
+}
+
+function renderListRow(record, watchlist = false) {
+  const info = [record.year && `(${record.year})`, TYPE_LABELS[record.type] && `(${TYPE_LABELS[record.type]})`]
+    .filter(Boolean)
+    .map((text) => `<span class="info">${esc(text)}</span>`)
+    .join("\n\t\t\t\t");
+  const stars = record.rating ? `stars-${record.rating}` : "trash";
+  return `
+		<tr>
+			<td class="name">
+				<h3 class="film-title-norating">
+					<a href="${esc(new URL(record.url).pathname)}" title="${esc(record.title)}" class="film-title-name">${esc(record.title)}</a>
+					<span class="film-title-info">
+				${info}
+					</span>
+				</h3>
+			</td>
+			${watchlist ? "" : `<td class="star-rating-td"><span class="star-rating"><span class="stars ${stars}"></span></span></td>`}
+			<td class="date-only">${esc(watchlist ? record.addedDate : record.ratingDate)}</td>
+		</tr>`;
+}
+
+function renderListPage(records, pageNumber, options) {
+  const pages = Math.max(1, Math.ceil(records.length / options.perPage));
+  const empty = options.emptyPages.includes(pageNumber) || pageNumber > pages;
+  const rows = empty ? [] : records.slice((pageNumber - 1) * options.perPage, pageNumber * options.perPage);
+  const next = pageNumber < pages ? `<a class="page-next" href="?page=${pageNumber + 1}">další</a>` : "";
+
+  return layout("Hodnocení", `
+<nav class="tab-nav">
+	<a href="../prehled/">Přehled</a>
+	<a href="./" class="active">Hodnocení (${records.length})</a>
+</nav>
+<section class="box">
+	<div id="snippet--ratings">
+		<header class="box-header"><h2>Hodnocení (${records.length})</h2></header>
+		<div class="box-content">
+${rows.length ? `<table class="striped"><tbody>${rows.map((r) => renderListRow(r)).join("")}
+			</tbody></table>` : `<p class="box-empty">Zatím žádné hodnocení.</p>`}
+			<div class="pagination">${next}</div>
+		</div>
+	</div>
+</section>`, options);
+}
+
+/** Stránka "chci vidět" - stejná tabulka jako hodnocení, bez hvězdiček */
+function renderWatchlistPage(watchlist, pageNumber, options) {
+  const rows = watchlist.slice((pageNumber - 1) * options.perPage, pageNumber * options.perPage);
+
+  return layout("Chci vidět", `
+<section class="box">
+	<div id="snippet--watchlist">
+		<header class="box-header"><h2>Chci vidět (${watchlist.length})</h2></header>
+		<div class="box-content">
+${rows.length ? `<table class="striped"><tbody>${rows.map((r) => renderListRow(r, true)).join("")}
+			</tbody></table>` : `<p class="box-empty">Seznam je prázdný.</p>`}
+		</div>
+	</div>
+</section>`, options);
+}
+
+/** Stránka recenzí - záznamy s vyplněným polem review */
+function renderReviewPage(records, pageNumber, options) {
+  const reviewed = records.filter((r) => r.review);
+  const empty = options.emptyPages.includes(pageNumber);
+  const rows = empty ? [] : reviewed.slice((pageNumber - 1) * options.perPage, pageNumber * options.perPage);
+  const articles = rows.map((r) => `
+		<article class="article article-poster-60">
+			<div class="article-header">
+				<h3 class="film-title-nooverflow"><a href="${esc(new URL(r.url).pathname)}" class="film-title-name">${esc(r.title)}</a></h3>
+			</div>
+			<div class="article-content">
+				<p><span class="comment">${esc(r.review)}</span></p>
+				<span class="article-footer"><time>${esc(r.reviewDate)}</time></span>
+			</div>
+		</article>`).join("");
+
+  return layout("Recenze", `
+<section class="box striped-articles user-reviews">
+	<div id="snippet--reviews">
+		<header class="box-header"><h2>Recenze (${reviewed.length})</h2></header>
+		<div class="box-content">${articles}
+		</div>
+	</div>
+</section>`, options);
+}
+
+const personLinks = (names) =>
+  names
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name, i) => `<a href="/tvurce/${i + 1}-${esc(name.toLowerCase().replace(/\s+/g, "-"))}/">${esc(name)}</a>`)
+    .join(", ");
+
+function renderDetailPage(record, options) {
+  const names = record.original_title
+    ? `<ul class="film-names"><li><img src="/flags/flag_1.png" class="flag" alt="">${esc(record.original_title)}</li></ul>`
+    : "";
+  // Strukturovaní tvůrci (creators), jinak ploché director/cast
+  const groups = record.creators
+    ? Object.entries(CREATOR_LABELS).map(([role, label]) => [label, (record.creators[role] || []).join(", ")])
+    : [["Režie", record.director], ["Hrají", record.cast]];
+  const creators = groups
+    .filter(([, names]) => names)
+    .map(([label, names]) => `<div><h4>${label}:</h4><span>${personLinks(names)}</span></div>`)
+    .join("\n");
+  const imdb = record.imdb_id
+    ? `<a href="https://www.imdb.com/title/${esc(record.imdb_id)}/" class="button button-imdb" rel="nofollow">IMDb</a>`
+    : "";
+  const pad = (n) => String(n).padStart(2, "0");
+  const code = record.season_number && record.episode_number
+    ? `<span class="film-title-info">(S${pad(record.season_number)}E${pad(record.episode_number)})</span>`
+    : "";
+
+  return layout(record.title, `
+<div class="main-movie-profile">
+	<div class="film-header">
+		<div class="film-header-name"><h1>${esc(record.title)}</h1>${code}</div>
+		${names}
+	</div>
+	<div class="film-info-content">
+		${record.genre ? `<div class="genres">${esc(record.genre)}</div>` : ""}
+		${record.country || record.runtime ? `<div class="origin">${esc([record.country, record.year, record.runtime && `${record.runtime} min`].filter(Boolean).join(", "))}</div>` : ""}
+		<div id="creators">
+${creators}
+			<div class="other-professions"></div>
+		</div>
+	</div>
+	${record.description ? `<section class="box" id="plots"><div class="plot-preview"><p>${esc(record.description)}</p></div></section>` : ""}
+	<div class="film-links">${imdb}</div>
+</div>
+<aside class="aside-movie-profile">
+	<div class="box-rating-container">
+		<div class="film-rating-average">${esc(record.csfd_rating || "?")}%</div>
+${String(record.csfd_rank || "").split("; ").filter(Boolean).map((rank) => `		<div class="film-ranking"><a href="/zebricky/">${esc(rank)}</a></div>`).join("\n")}
+	</div>
+	${record.premiere_cz ? `<section class="box box-premieres"><ul><li><span title="V kinech"><img class="flag" alt="Česko" title="Česko"> V kinech: ${esc(record.premiere_cz)}</span></li></ul></section>` : ""}
+	${record.csfd_votes ? `<section class="box box-film-ratings"><header class="box-header"><h3>Hodnocení <span class="counter">(${esc(record.csfd_votes)})</span></h3></header></section>` : ""}
+</aside>`, options);
+}
+
+/** IMDb find stránka s __NEXT_DATA__ (stejná struktura jako živé IMDb) */
+function renderImdbFind(records, query) {
+  const q = query.trim().toLowerCase();
+  const matches = (title) => {
+    const t = String(title || "").toLowerCase();
+    return t && q && (t.includes(q) || q.includes(t));
+  };
+  const results = records
+    .filter((r) => r.imdb_id && (matches(r.title) || matches(r.original_title)))
+    .slice(0, 10)
+    .map((r) => ({
+      index: r.imdb_id,
+      listItem: {
+        titleText: r.original_title || r.title,
+        originalTitleText: r.original_title || r.title,
+        releaseYear: Number(r.year) || null,
+      },
+    }));
+  const nextData = { props: { pageProps: { titleResults: { results } } }, page: "/find", query: { q: query } };
+
+  return `<!DOCTYPE html>
+<html lang="en-US">
+<head><meta charset="utf-8"><title>Find - IMDb</title></head>
+<body>
+<ul class="ipc-metadata-list">
+${results.map((r) => `	<li class="ipc-metadata-list-summary-item"><a class="ipc-metadata-list-summary-item__t" href="/title/${r.index}/">${esc(r.listItem.titleText)}</a><span class="ipc-metadata-list-summary-item__li">${r.listItem.releaseYear || ""}</span></li>`).join("\n")}
+</ul>
+<script id="__NEXT_DATA__" type="application/json">${JSON.stringify(nextData).replace(/</g, "\\u003c")}</script>
+</body>
+</html>`;
+}
+
+/** IMDb seznam epizod jedné série s __NEXT_DATA__ (contentData.section.episodes) */
+function renderImdbEpisodes(episodes, season) {
+  const items = episodes
+    .filter((e) => String(e.season) === (season || "1"))
+    .map((e) => ({ id: e.id, season: String(e.season), episode: String(e.episode), titleText: e.title }));
+  const nextData = { props: { pageProps: { contentData: { section: { episodes: { items } } } } }, page: "/title/[tconst]/episodes" };
+
+  return `<!DOCTYPE html>
+<html lang="en-US">
+<head><meta charset="utf-8"><title>Episodes - IMDb</title></head>
+<body>
+${items.map((e) => `<article class="episode-item-wrapper"><a href="/title/${e.id}/">S${e.season}.E${e.episode} ∙ ${esc(e.titleText)}</a></article>`).join("\n")}
+<script id="__NEXT_DATA__" type="application/json">${JSON.stringify(nextData).replace(/</g, "\\u003c")}</script>
+</body>
+</html>`;
+}
+
+/** Detail neznámého titulu (např. rodičovský seriál epizody) - název ze slugu */
+function placeholderRecord(pathname, records) {
+  const key = csfdItemKey(pathname);
+  const child = records.find((r) => csfdItemKey(r.url).startsWith(`${key}/`));
+  const slug = (pathname.match(/\/film\/\d+-([^/]+)\//) || [])[1] || key;
+  return {
+    title: child ? child.title.split(" - ")[0] : slug.replace(/-/g, " "),
+    url: pathname,
+  };
+}
+
+/** ────────────────────────────────
+ *  SERVER
+ *  ──────────────────────────────── */
+
+/**
+ * Start the mock. Returns { url, stats, close }; stats counts requests per
+ * path+query and injected errors so tests can assert on retries.
+ */
+export async function startMockServer(overrides = {}) {
+  const options = { ...defaults, ...overrides };
+  const records = options.records || JSON.parse(await fs.readFile(options.dataset, "utf8"));
+  const byKey = new Map([...options.watchlist, ...records].map((r) => [csfdItemKey(r.url), r]));
+  const stats = { requests: 0, errors: 0, byUrl: new Map() };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://mock");
+    const requestKey = `${url.pathname}${url.search}`;
+    const count = (stats.byUrl.get(requestKey) || 0) + 1;
+    stats.byUrl.set(requestKey, count);
+    stats.requests++;
+
+    if (options.delay) await sleep(options.delay);
+
+    if (count <= options.failFirst || Math.random() < options.errorRate) {
+      stats.errors++;
+      options.log(`[mock] ${options.errorStatus} ${requestKey}`);
+      res.writeHead(options.errorStatus, { "Content-Type": "text/plain" }).end("Service Unavailable");
+      return;
+    }
+
+    let html = null;
+    if (/^\/uzivatel\/[^/]+\/hodnoceni\/$/.test(url.pathname)) {
+      html = renderListPage(records, Number(url.searchParams.get("page")) || 1, options);
+    } else if (/^\/uzivatel\/[^/]+\/recenze\/$/.test(url.pathname)) {
+      html = renderReviewPage(records, Number(url.searchParams.get("page")) || 1, options);
+    } else if (/^\/uzivatel\/[^/]+\/chci-videt\/$/.test(url.pathname)) {
+      html = renderWatchlistPage(options.watchlist, Number(url.searchParams.get("page")) || 1, options);
+    } else if (url.pathname.startsWith("/film/")) {
+      const record = byKey.get(csfdItemKey(url.pathname)) || placeholderRecord(url.pathname, records);
+      html = renderDetailPage(record, options);
+    } else if (/^\/find\/?$/.test(url.pathname)) {
+      html = renderImdbFind([...records, ...options.watchlist], url.searchParams.get("q") || "");
+    } else if (/^\/title\/tt\d+\/episodes\/?$/.test(url.pathname)) {
+      const series = url.pathname.split("/")[2];
+      html = renderImdbEpisodes(options.imdbEpisodes[series] || [], url.searchParams.get("season"));
+    }
+
+    options.log(`[mock] ${html ? 200 : 404} ${requestKey}`);
+    if (!html) {
+      res.writeHead(404, { "Content-Type": "text/plain" }).end("Not Found");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" }).end(html);
+  });
+
+  await new Promise((resolve) => server.listen(options.port, options.host, resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://${options.host}:${port}`,
+    stats,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections(); // keep-alive spojení z fetch by jinak držela server naživu
+    }),
+  };
+}
+
+/** ────────────────────────────────
+ *  CLI
+ *  ──────────────────────────────── */
+async function main() {
+  if (process.argv.includes("--help")) {
+    console.log(`
+Mock ČSFD/IMDb server - Usage:
+  node mock_server.mjs [options]
+
+Options:
+  --port N            Port (default 4010)
+  --dataset FILE      Records to serve (default test/fixtures/mock_ratings.json)
+  --watchlist FILE    Records for the "chci vidět" list (default empty)
+  --per-page N        Ratings per list page (default 50)
+  --delay MS          Delay before every response
+  --error-rate P      Probability (0-1) of a random 503
+  --fail-first N      First N requests of every URL answer 503
+  --empty-pages LIST  Comma-separated list pages rendered without rows
+  --cookie-banner     Add the Didomi cookie banner to every ČSFD page
+`);
+    return;
+  }
+
+  const number = (name, fallback) => Number(cliOption(name, null, fallback));
+  const mock = await startMockServer({
+    port: number("port", 4010),
+    dataset: cliOption("dataset", null, defaults.dataset),
+    watchlist: cliOption("watchlist") ? JSON.parse(await fs.readFile(cliOption("watchlist"), "utf8")) : [],
+    perPage: number("per-page", defaults.perPage),
+    delay: number("delay", 0),
+    errorRate: number("error-rate", 0),
+    failFirst: number("fail-first", 0),
+    emptyPages: cliOption("empty-pages").split(",").filter(Boolean).map(Number),
+    cookieBanner: process.argv.includes("--cookie-banner"),
+    log: (msg) => console.log(`[${new Date().toISOString()}] ${msg}`),
+  });
+
+  console.log(`🧪 Mock ČSFD/IMDb běží na ${mock.url}`);
+  console.log(`   Hodnocení: ${mock.url}/uzivatel/2544-ludivitto/hodnoceni/`);
+  console.log(`   Scrapery:  --transport http --base-url ${mock.url} --imdb-base-url ${mock.url} --data-dir /tmp/csfd-mock`);
+
+  const shutdown = async () => {
+    await mock.close();
+    console.log(`📊 Požadavků: ${mock.stats.requests}, simulovaných chyb: ${mock.stats.errors}`);
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error("💥 FATAL ERROR:", error.message);
+    process.exit(1);
+  });
+}
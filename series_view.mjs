@@ -0,0 +1,145 @@
+// Seriály jako strom: seriál → ohodnocené série → epizody, s průměrem vlastních hodnocení
+// Odvozený pohled nad datasetem (parent_url/series_url z ČSFD cesty), nic nestahuje.
+//
+//   node series_view.mjs [--user 2544-ludivitto] [--out data/csfd_series.json]
+
+import fs from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import {
+  csfdItemKey,
+  isDeleted,
+  titleHierarchy,
+  parseSeasonNumber,
+  cliOption,
+  resolveProfile,
+  saveJson,
+} from "./csfd_core.mjs";
+
+/** ────────────────────────────────
+ *  CONFIG
+ *  ──────────────────────────────── */
+const log = (msg, ...args) => console.log(msg, ...args);
+
+// Pole záznamu, která se do stromu přenáší
+const NODE_FIELDS = ["title", "year", "type", "rating", "ratingDate", "url", "imdb_id"];
+
+/** ────────────────────────────────
+ *  HELPERS
+ *  ──────────────────────────────── */
+
+// ČSFD "odpad!" se parsuje jako prázdné hodnocení - do průměru jde jako 0
+const ratingValue = (rating) => Number(rating || 0);
+
+const pick = (item) => Object.fromEntries(NODE_FIELDS.map((field) => [field, item[field] || ""]));
+
+/** Mean personal rating and count of the given records (2 decimals), null mean without records */
+export function aggregateRating(items) {
+  if (items.length === 0) return { aggregate_rating: null, rated_count: 0 };
+  const sum = items.reduce((total, item) => total + ratingValue(item.rating), 0);
+  return { aggregate_rating: Math.round((sum / items.length) * 100) / 100, rated_count: items.length };
+}
+
+// Série a epizody podle čísla, bez čísla zůstává pořadí v datasetu
+const byNumber = (...fields) => (a, b) => {
+  for (const field of fields) {
+    const diff = (Number(a[field]) || Infinity) - (Number(b[field]) || Infinity);
+    if (diff && !Number.isNaN(diff)) return diff;
+  }
+  return 0;
+};
+
+/** ────────────────────────────────
+ *  TREE
+ *  ──────────────────────────────── */
+
+/**
+ * Group every series with its rated seasons and episodes:
+ * [{ ...series, rated, aggregate_rating, rated_count, seasons: [{ ...season, episodes }], episodes }].
+ * An episode goes under its season when its parent_url is the season or its
+ * season_number matches one; the rest stay directly under the series. A series
+ * that isn't rated itself takes its title from the children ("Rod Draka - Regent").
+ * aggregate_rating averages every rating in the group (series, seasons, episodes).
+ */
+export function buildSeriesTree(items) {
+  const groups = new Map(); // ČSFD ID seriálu → { series, seasons, episodes }
+  const group = (key) => {
+    if (!groups.has(key)) groups.set(key, { series: null, seasons: [], episodes: [] });
+    return groups.get(key);
+  };
+
+  for (const item of items) {
+    if (isDeleted(item) || !item.url) continue;
+    const { parent_url, series_url } = item.series_url !== undefined ? item : titleHierarchy(item.url);
+    if (series_url) {
+      const target = group(csfdItemKey(series_url));
+      target.url ||= series_url;
+      (item.type === "season" ? target.seasons : target.episodes).push({ item, parent_url });
+    } else if (item.type === "series") {
+      group(csfdItemKey(item.url)).series = item;
+    }
+  }
+
+  return [...groups.values()].map(({ series, url, seasons, episodes }) => {
+    const seasonNodes = seasons
+      .map(({ item }) => ({ ...pick(item), season_number: item.season_number || parseSeasonNumber(item.url, item.title), item, episodes: [] }))
+      .sort(byNumber("season_number"));
+    const loose = [];
+
+    for (const { item, parent_url } of episodes) {
+      const season = seasonNodes.find((node) => csfdItemKey(node.url) === csfdItemKey(parent_url)) ||
+        (item.season_number && seasonNodes.find((node) => node.season_number === item.season_number));
+      const node = { ...pick(item), season_number: item.season_number || "", episode_number: item.episode_number || "" };
+      (season ? season.episodes : loose).push({ node, item });
+    }
+
+    const all = [series, ...seasons.map((s) => s.item), ...episodes.map((e) => e.item)].filter(Boolean);
+    const firstChild = all[0];
+    return {
+      ...(series ? pick(series) : { ...pick({}), title: firstChild.title.split(" - ")[0], type: "series", url }),
+      rated: Boolean(series),
+      ...aggregateRating(all),
+      seasons: seasonNodes.map(({ item, episodes: seasonEpisodes, ...season }) => ({
+        ...season,
+        ...aggregateRating([item, ...seasonEpisodes.map((e) => e.item)]),
+        episodes: seasonEpisodes.map((e) => e.node).sort(byNumber("episode_number")),
+      })),
+      episodes: loose.map((e) => e.node).sort(byNumber("season_number", "episode_number")),
+    };
+  });
+}
+
+/** ────────────────────────────────
+ *  CLI
+ *  ──────────────────────────────── */
+async function main() {
+  if (process.argv.includes("--help")) {
+    log(`
+Seriály jako strom - Použití:
+  node series_view.mjs [--user U] [--out FILE]
+
+  --user U     Profil (výchozí z csfd_config.json)
+  --out FILE   Výstup (výchozí <data>/csfd_series.json)
+`);
+    return;
+  }
+
+  const { dataDir } = resolveProfile();
+  const items = JSON.parse(await fs.readFile(`${dataDir}/csfd_ratings.json`, "utf8"));
+  const tree = buildSeriesTree(items);
+  const out = cliOption("out", null, `${dataDir}/csfd_series.json`);
+
+  await saveJson(out, { generatedAt: new Date().toISOString(), series: tree });
+
+  const children = tree.reduce((sum, s) => sum + s.seasons.length + s.seasons.reduce((n, season) => n + season.episodes.length, 0) + s.episodes.length, 0);
+  log(`📺 ${tree.length} seriálů, ${children} sérií a epizod → ${out}`);
+  for (const s of tree.filter((s) => s.rated_count > 1).sort((a, b) => b.rated_count - a.rated_count).slice(0, 10)) {
+    log(`   ${s.title}: ⌀ ${s.aggregate_rating}⭐ z ${s.rated_count} hodnocení`);
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error("💥 FATAL ERROR:", error.message);
+    process.exit(1);
+  });
+}
@@ -176,7 +176,8 @@ jobs:
       - name: Compress data if changed
         if: success()
         run: |
-          if [ -f "data/new_items.json" ] && [ -s "data/new_items.json" ]; then
+          CHANGES=$(node -e "try { const r = JSON.parse(require('fs').readFileSync('data/new_items.json', 'utf8')); console.log((r.new || r).length + (r.changed || []).length + (r.deleted || []).length); } catch { console.log(0); }")
+          if [ "$CHANGES" -gt 0 ]; then
             echo "🗜️ Komprimuji data..."
             node build_compress.mjs
           fi
@@ -191,11 +192,11 @@ jobs:
           if ! git diff --cached --quiet; then
             NEW_ITEMS_COUNT=0
             if [ -f "data/new_items.json" ]; then
-              NEW_ITEMS_COUNT=$(node -e "console.log(JSON.parse(require('fs').readFileSync('data/new_items.json', 'utf8')).length)")
+              NEW_ITEMS_COUNT=$(node -e "try { const r = JSON.parse(require('fs').readFileSync('data/new_items.json', 'utf8')); console.log((r.new || r).length + (r.changed || []).length + (r.deleted || []).length); } catch { console.log(0); }")
             fi
             
             if [ "$NEW_ITEMS_COUNT" -gt 0 ]; then
-              git commit -m "🆕 Přidáno $NEW_ITEMS_COUNT nových položek [skip ci]"
+              git commit -m "🆕 Přidáno/změněno/smazáno $NEW_ITEMS_COUNT položek [skip ci]"
             else
               git commit -m "🔄 Aktualizace dat [skip ci]"
             fi
@@ -259,6 +260,7 @@ async function main() {
       log("📊 Aktuální stav:");
       log(`- Poslední běh: ${state.lastRun}`);
       log(`- Nové položky: ${state.newItemsFound}`);
+      log(`- Změněná hodnocení: ${state.changedItemsFound || 0}`);
       log(`- Celkem položek: ${state.totalItems}`);
       log(`- Zkontrolované stránky: ${state.pagesChecked}`);
     } else {
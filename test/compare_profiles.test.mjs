@@ -0,0 +1,91 @@
+// Testy spojení profilů a porovnání vkusu (compare_profiles.mjs)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { mergeProfiles, combinedRows, combinedHeader, compareRatings, pearson } from "../compare_profiles.mjs";
+
+const film = (id, title, rating, extra = {}) => ({
+  title,
+  year: "2020",
+  type: "film",
+  rating,
+  ratingDate: "01.01.2024",
+  url: `https://www.csfd.cz/film/${id}-${title.toLowerCase()}/`,
+  imdb_id: "",
+  ...extra,
+});
+
+const anna = {
+  user: "1-anna",
+  items: [
+    film(10, "Alfa", "5", { imdb_id: "tt0000010", genre: "Drama" }),
+    film(20, "Beta", "1"),
+    film(30, "Gama", "5"),
+    film(40, "Delta", "3", { imdb_id: "tt0000040" }),
+    film(50, "Smazany", "4", { deletedAt: "2026-01-01T00:00:00.000Z" }),
+  ],
+};
+
+const boris = {
+  user: "2-boris",
+  items: [
+    // Stejné ČSFD ID, jiný slug a /prehled/
+    { ...film(10, "Alfa", "4"), url: "https://www.csfd.cz/film/10-alfa-2020/prehled/", director: "Někdo" },
+    film(20, "Beta", "5"),
+    // Jiné ČSFD ID, stejné IMDb ID → stejný titul
+    film(41, "Delta", "3", { imdb_id: "tt0000040" }),
+    film(60, "Epsilon", "5"),
+  ],
+};
+
+test("mergeProfiles joins on ČSFD ID and unique IMDb ID, skipping tombstones", () => {
+  const entries = mergeProfiles([anna, boris]);
+
+  assert.deepEqual(
+    entries.map((e) => [e.record.title, Object.keys(e.ratings)]),
+    [
+      ["Alfa", ["1-anna", "2-boris"]],
+      ["Beta", ["1-anna", "2-boris"]],
+      ["Gama", ["1-anna"]],
+      ["Delta", ["1-anna", "2-boris"]],
+      ["Epsilon", ["2-boris"]],
+    ]
+  );
+  // Detailová pole se doplní z druhého profilu
+  assert.equal(entries[0].record.genre, "Drama");
+  assert.equal(entries[0].record.director, "Někdo");
+});
+
+test("combined rows keep the record shape with one rating column per user", () => {
+  const users = ["1-anna", "2-boris"];
+  const rows = combinedRows(mergeProfiles([anna, boris]), users);
+  const header = combinedHeader(users);
+
+  assert.deepEqual(header.slice(0, 8), [
+    "title", "year", "type", "url",
+    "rating_1-anna", "ratingDate_1-anna", "rating_2-boris", "ratingDate_2-boris",
+  ]);
+  assert.equal(rows[2]["rating_1-anna"], "5");
+  assert.equal(rows[2]["rating_2-boris"], "");
+  assert.ok(!("rating" in rows[0]));
+});
+
+test("compareRatings reports overlap, agreement, loved-unseen and disagreements", () => {
+  const result = compareRatings(mergeProfiles([anna, boris]), "1-anna", "2-boris");
+
+  assert.equal(result.overlap, 3);
+  assert.deepEqual(result.rated, { "1-anna": 4, "2-boris": 4 });
+  assert.equal(result.overlapShare, 0.6);
+  assert.equal(result.exactAgreement, 0.333);
+  assert.equal(result.meanAbsoluteDifference, 1.667);
+  assert.deepEqual(result.lovedUnseen["1-anna"].map((t) => t.title), ["Gama"]);
+  assert.deepEqual(result.lovedUnseen["2-boris"].map((t) => t.title), ["Epsilon"]);
+  assert.deepEqual(result.biggestDisagreements.map((d) => [d.title, d.diff]), [["Beta", 4], ["Alfa", 1]]);
+});
+
+test("pearson is null for constant or too short series", () => {
+  assert.equal(pearson([1], [2]), null);
+  assert.equal(pearson([3, 3, 3], [1, 2, 3]), null);
+  assert.equal(pearson([1, 2, 3], [2, 4, 6]), 1);
+});
@@ -0,0 +1,285 @@
+// Testy kontroly datasetu (csfd_dataset.mjs) na vzorcích chyb z reálných dat
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+
+import { validateDataset, validateOverrides, repairDataset, typesFromUrl, isValidCsfdDate } from "../csfd_dataset.mjs";
+import { cleanTitle, parentTitleUrl, applyOverrides, titleHierarchy, normalizeFilmType, parseSeasonNumber, parseEpisodeCode, pickImdbEpisode } from "../csfd_core.mjs";
+
+const records = JSON.parse(await fs.readFile(new URL("./fixtures/mock_ratings.json", import.meta.url), "utf8"));
+
+const film = {
+  title: "Slova",
+  year: "2012",
+  type: "film",
+  rating: "4",
+  ratingDate: "14.11.2014",
+  url: "https://www.csfd.cz/film/301629-slova/prehled/",
+  imdb_id: "tt1840417",
+  imdb_url: "https://www.imdb.com/title/tt1840417/",
+  original_title: "The Words",
+  genre: "Psychologický / Romantický / Drama",
+};
+
+const codes = (items) => validateDataset(items).map(({ index, field, code, severity }) => [index, field, code, severity]);
+
+test("a clean record passes", () => {
+  assert.deepEqual(codes([film]), []);
+});
+
+test("scraping leftovers, bad IDs and dates are errors", () => {
+  assert.deepEqual(
+    codes([
+      { ...film, original_title: "Tajemství za slovy\n\t\t\t\t\n\t\t\t\t\tvíce" },
+      { ...film, url: "https://www.csfd.cz/film/1386530-adikts/prehled/", original_title: "Addicts\n\t\t\t(festivalový název)" },
+      { ...film, url: "https://www.csfd.cz/film/2-a/", imdb_id: "1840417", imdb_url: "" },
+      { ...film, url: "https://www.csfd.cz/film/3-b/", imdb_url: "https://www.imdb.com/title/tt0816692/" },
+      { ...film, url: "https://www.csfd.cz/film/4-c/", ratingDate: "2024-08-02", premiere_cz: "31.02.2014" },
+      { ...film, url: "https://www.csfd.cz/film/5-d/", rating: "7", year: "20" },
+    ]),
+    [
+      [0, "original_title", "more-leftover", "error"],
+      [1, "original_title", "whitespace", "error"],
+      [2, "imdb_id", "imdb-id", "error"],
+      [3, "imdb_url", "imdb-url", "error"],
+      [4, "ratingDate", "date", "error"],
+      [4, "premiere_cz", "date", "error"],
+      [5, "year", "year", "error"],
+      [5, "rating", "rating", "error"],
+    ]
+  );
+});
+
+test("duplicate URLs are errors, other URL variants of the same title are warnings", () => {
+  const variant = { ...film, url: "https://www.csfd.cz/film/301629-slova/" };
+  assert.deepEqual(codes([film, { ...film }, variant]), [
+    [1, "url", "duplicate-url", "error"],
+    [2, "url", "duplicate-id", "warning"],
+  ]);
+});
+
+test("type must match the URL structure", () => {
+  const series = "https://www.csfd.cz/film/1434072-1670/";
+  assert.deepEqual(
+    codes([
+      { ...film, url: `${series}1802921-season-3/prehled/`, type: "film" },
+      { ...film, url: `${series}1802922-season-4/`, type: "episode" },
+      { ...film, url: "https://www.csfd.cz/film/710395-kimecu-no-jaiba/1320372-katanakadzi-no-sato-hen/", type: "season" },
+      { ...film, url: series, type: "episode" },
+    ]),
+    [
+      [0, "type", "type-url", "error"],
+      [1, "type", "type-url", "error"],
+      [3, "type", "type-url", "error"],
+    ]
+  );
+  assert.deepEqual(typesFromUrl("https://www.csfd.cz/film/785031-rod-draka/1252639-regent/prehled/"), ["season", "episode"]);
+  assert.deepEqual(typesFromUrl(`${series}prehled/`), ["film", "series"]);
+});
+
+test("soft problems are warnings and tombstones are skipped", () => {
+  assert.deepEqual(
+    codes([
+      { ...film, rating: "", imdb_id: "", imdb_url: "", genre: "Psychologický  Mysteriózní  Drama" },
+      { ...film, url: "https://www.csfd.cz/film/6-e/", ratingDate: "", original_title: "více", deletedAt: "2026-01-01T00:00:00.000Z" },
+    ]),
+    [
+      [0, "genre", "genre-separator", "warning"],
+      [0, "rating", "empty-rating", "warning"],
+      [0, "imdb_id", "missing-imdb", "warning"],
+    ]
+  );
+});
+
+test("the mock dataset (a slice of real data) only fails on known scraping leftovers", () => {
+  const errors = validateDataset(records).filter((issue) => issue.severity === "error");
+  assert.deepEqual([...new Set(errors.map((issue) => issue.code))].sort(), ["duplicate-url", "more-leftover", "whitespace"]);
+  assert.ok(errors.every((issue) => issue.code === "duplicate-url" || issue.field === "original_title"));
+  assert.equal(isValidCsfdDate("29.02.2024"), true);
+  assert.equal(isValidCsfdDate("29.02.2023"), false);
+});
+
+test("cleanTitle drops the 'více' link and name labels that leaked with line breaks", () => {
+  assert.equal(cleanTitle("Master i Margarita\n\t\t\t\t\n\t\t\t\t\tvíce"), "Master i Margarita");
+  assert.equal(cleanTitle("Hojer\n\t\t\t\t(pracovní název)"), "Hojer");
+  assert.equal(cleanTitle("Interstellar (více)"), "Interstellar");
+  assert.equal(cleanTitle("Na Hromnice o den více"), "Na Hromnice o den více");
+});
+
+test("parentTitleUrl ignores the /prehled/ tab", () => {
+  assert.equal(parentTitleUrl("https://www.csfd.cz/film/785031-rod-draka/1252639-regent/prehled/"), "https://www.csfd.cz/film/785031-rod-draka/");
+  assert.equal(parentTitleUrl("https://www.csfd.cz/film/301629-slova/prehled/"), "");
+});
+
+test("titleHierarchy links seasons and episodes to their series", () => {
+  assert.deepEqual(titleHierarchy("https://www.csfd.cz/film/1513493-pluribus/1710082-php/prehled/"), {
+    parent_url: "https://www.csfd.cz/film/1513493-pluribus/",
+    series_url: "https://www.csfd.cz/film/1513493-pluribus/",
+  });
+  // Epizoda pod sérií: rodič je série, seriál zůstává nahoře
+  assert.deepEqual(titleHierarchy("https://www.csfd.cz/film/69451-simpsonovi/484938-serie-1/484939-epizoda/"), {
+    parent_url: "https://www.csfd.cz/film/69451-simpsonovi/484938-serie-1/",
+    series_url: "https://www.csfd.cz/film/69451-simpsonovi/",
+  });
+  assert.deepEqual(titleHierarchy("https://www.csfd.cz/film/1513493-pluribus/prehled/"), { parent_url: "", series_url: "" });
+
+  // Typ z URL, i když info text řádku nic neříká
+  assert.equal(normalizeFilmType("(2025)", "https://www.csfd.cz/film/1434072-1670/1802921-season-3/"), "season");
+  assert.equal(normalizeFilmType("(2025)", "https://www.csfd.cz/film/1513493-pluribus/1710082-php/"), "episode");
+  assert.equal(normalizeFilmType("(2025) (seriál)", "https://www.csfd.cz/film/1513493-pluribus/"), "series");
+});
+
+test("season and episode numbers come from the URL slug, title or an SxxEyy code", () => {
+  assert.equal(parseSeasonNumber("https://www.csfd.cz/film/1434072-1670/1802921-season-3/prehled/"), "3");
+  assert.equal(parseSeasonNumber("https://www.csfd.cz/film/1133235-legenda-jmenem-vox-machina/1133236-serie-1/"), "1");
+  assert.equal(parseSeasonNumber("", "Banda - Série 5"), "5");
+  assert.equal(parseSeasonNumber("", "Dallas - 2. série"), "2");
+  // Pojmenovaná série čísla nemá
+  assert.equal(parseSeasonNumber("https://www.csfd.cz/film/517880-psychiatr/863849-andel-temnot/prehled/", "Psychiatr - Anděl temnot"), "");
+
+  assert.deepEqual(parseEpisodeCode("Rod Draka - Regent (S01E01)"), { season_number: "1", episode_number: "1" });
+  assert.deepEqual(parseEpisodeCode("s2 e10"), { season_number: "2", episode_number: "10" });
+  assert.equal(parseEpisodeCode("Rod Draka - Regent"), null);
+});
+
+test("pickImdbEpisode matches by number first, then by title", () => {
+  const episodes = [
+    { imdb_id: "tt0000201", season: "1", episode: "1", title: "We Is Us" },
+    { imdb_id: "tt0000203", season: "1", episode: "3", title: "HDP" },
+    { imdb_id: "tt0000204", season: "1", episode: "4", title: "Grenade" },
+    { imdb_id: "tt0000211", season: "2", episode: "1", title: "Grenade" },
+  ];
+  const pick = (numbers, titles) => {
+    const result = pickImdbEpisode(episodes, numbers, titles);
+    return result && [result.imdb_id, result.imdb_match_score];
+  };
+
+  assert.deepEqual(pick({ season_number: "1", episode_number: "3" }, ["Something else"]), ["tt0000203", 1]);
+  assert.deepEqual(pick({ season_number: "2" }, ["Grenade"]), ["tt0000211", 1]);
+  assert.deepEqual(pick({}, ["We Is Us", "My jsme my"]), ["tt0000201", 1]);
+  assert.equal(pick({ season_number: "1", episode_number: "9" }, ["Please, Carol"]), null);
+});
+
+test("repairDataset fixes what it can offline and reports every change", () => {
+  const series = "https://www.csfd.cz/film/1434072-1670/";
+  const items = [
+    { ...film, original_title: "Tajemství za slovy\n\t\t\t\n\t\t\t\tvíce", genre: "Psychologický  Drama", imdb_url: "" },
+    { ...film, url: `${series}1802921-season-3/prehled/`, type: "film", description: `${"Dlouhý popis bez tečky ".repeat(20)}konec.` },
+    { ...film, url: "https://www.csfd.cz/film/785031-rod-draka/1252639-regent/", type: "series", description: `${"x".repeat(250)}...` },
+  ];
+  const changes = repairDataset(items);
+
+  assert.deepEqual(changes.map(({ index, field }) => [index, field]), [
+    [0, "original_title"],
+    [0, "genre"],
+    [0, "imdb_url"],
+    [1, "description"],
+    [1, "type"],
+    [1, "parent_url"],
+    [1, "series_url"],
+    [2, "type"],
+    [2, "parent_url"],
+    [2, "series_url"],
+  ]);
+  assert.equal(items[0].original_title, "Tajemství za slovy");
+  assert.equal(items[0].genre, "Psychologický / Drama");
+  assert.equal(items[0].imdb_url, "https://www.imdb.com/title/tt1840417/");
+  assert.equal(items[1].description.length, 253);
+  assert.deepEqual(items.map((item) => item.type), ["film", "season", "episode"]);
+  assert.deepEqual([items[0].parent_url, items[1].parent_url, items[1].series_url], [undefined, series, series]);
+  assert.deepEqual(validateDataset(items).filter((issue) => issue.severity === "error"), []);
+  // Druhý průchod už nic nemění
+  assert.deepEqual(repairDataset(items), []);
+});
+
+test("repairDataset drops later records with the same URL", () => {
+  const series = { ...film, url: "https://www.csfd.cz/film/1434072-1670/", type: "series" };
+  const items = [{ ...film, year: "2024" }, series, { ...film, year: "2023" }, { ...series }];
+  const changes = repairDataset(items);
+
+  assert.deepEqual(changes.map(({ index, field, to }) => [index, field, to]), [[2, "duplicate-url", null], [3, "duplicate-url", null]]);
+  assert.deepEqual(items.map((item) => [item.url, item.year]), [[film.url, "2024"], [series.url, film.year]]);
+  assert.deepEqual(validateDataset(items).filter((issue) => issue.code === "duplicate-url"), []);
+});
+
+test("repairDataset folds a duplicate's rating, history, tombstone and fields into the kept record", () => {
+  const history = (rating, ratingDate, seenAt) => ({ rating, ratingDate, seenAt });
+  const kept = { ...film, rating: "4", ratingDate: "19.10.2025", review: "", rating_history: [history("4", "19.10.2025", "2025-10-20T03:00:00.000Z")] };
+  const newer = {
+    ...film,
+    rating: "5",
+    ratingDate: "01.11.2025",
+    review: "Lepší napodruhé.",
+    rating_history: [history("3", "01.01.2020", null), history("5", "01.11.2025", "2025-11-02T03:00:00.000Z")],
+  };
+  const items = [kept, newer];
+  const changes = repairDataset(items);
+
+  assert.deepEqual(changes.map(({ index, field }) => [index, field]), [
+    [0, "rating"], [0, "ratingDate"], [0, "rating_history"], [0, "review"], [1, "duplicate-url"],
+  ]);
+  assert.equal(items.length, 1);
+  assert.deepEqual([items[0].rating, items[0].ratingDate, items[0].review], ["5", "01.11.2025", "Lepší napodruhé."]);
+  assert.deepEqual(items[0].rating_history.map((e) => e.rating), ["3", "4", "5"]);
+
+  // Smazání platí, jen když živou kopii nikdo neohodnotil později
+  const tombstone = { ...film, ratingDate: "19.10.2025", deletedAt: "2025-11-05T03:00:00.000Z" };
+  const stale = [{ ...film, ratingDate: "19.10.2025" }, { ...tombstone }];
+  repairDataset(stale);
+  assert.equal(stale[0].deletedAt, tombstone.deletedAt);
+  const rerated = [{ ...tombstone }, { ...film, ratingDate: "10.11.2025" }];
+  repairDataset(rerated);
+  assert.deepEqual([rerated[0].deletedAt, rerated[0].ratingDate], [undefined, "10.11.2025"]);
+});
+
+test("overrides win over scraped values and the validator spots unneeded ones", () => {
+  const overrides = new Map([
+    ["301629", { url: film.url, imdb_id: "tt1840417", note: "stejné jako scraper" }],
+    ["2", { url: "https://www.csfd.cz/film/2-a/", imdb_id: "tt0816692", search_titles: ["Interstellar"] }],
+  ]);
+  const items = [{ ...film }, { ...film, url: "https://www.csfd.cz/film/2-a/prehled/", imdb_id: "tt0000001" }];
+
+  // Scraper (fresh) zapíše své hodnoty do overridden, oprava vyhraje
+  assert.equal(applyOverrides(items, overrides, { fresh: true }), 2);
+  assert.equal(items[1].imdb_id, "tt0816692");
+  assert.equal(items[1].imdb_url, "https://www.imdb.com/title/tt0816692/");
+  assert.equal(items[1].imdb_match_source, "override");
+  assert.deepEqual(items[1].overridden, { imdb_id: "tt0000001" });
+  assert.deepEqual(validateDataset(items, { overrides }).map(({ index, code }) => [index, code]), [[0, "override-redundant"]]);
+
+  // Ruční úprava dat se při repair vrátí na hodnotu z opravy
+  items[1].imdb_id = "tt0000002";
+  assert.deepEqual(validateDataset(items, { overrides }).map(({ index, code }) => [index, code]), [
+    [0, "override-redundant"],
+    [1, "imdb-url"],
+    [1, "override-pending"],
+  ]);
+  assert.deepEqual(repairDataset(items, { overrides }).map(({ index, field, to }) => [index, field, to]), [
+    [1, "imdb_url", "https://www.imdb.com/title/tt0000002/"],
+    [1, "imdb_id", "tt0816692"],
+    [1, "imdb_url", "https://www.imdb.com/title/tt0816692/"],
+  ]);
+  assert.deepEqual(items[1].overridden, { imdb_id: "tt0000001" });
+
+  // Po doplnění jen některých polí se zapíšou jen ta stažená
+  const partial = new Map([["2", { url: "https://www.csfd.cz/film/2-a/", country: "Kanada", runtime: "95" }]]);
+  const item = { url: "https://www.csfd.cz/film/2-a/", country: "USA", runtime: "90" };
+  applyOverrides([item], partial);
+  Object.assign(item, { runtime: "91" });
+  applyOverrides([item], partial, { fresh: ["runtime"] });
+  assert.deepEqual([item.country, item.runtime, item.overridden], ["Kanada", "95", { country: "USA", runtime: "91" }]);
+});
+
+test("validateOverrides reports malformed entries", () => {
+  const overrides = new Map([
+    ["x", { url: "https://www.imdb.com/title/tt1840417/", imdb: "tt1840417" }],
+    ["3", { url: "https://www.csfd.cz/film/3-b/", imdb_id: "1840417", search_titles: "The Words" }],
+  ]);
+  assert.deepEqual(validateOverrides(overrides).map(({ index, field, code }) => [index, field, code]), [
+    [0, "url", "override-url"],
+    [0, "imdb", "override-field"],
+    [1, "imdb_id", "override-imdb-id"],
+    [1, "search_titles", "override-search-titles"],
+  ]);
+});
@@ -0,0 +1,221 @@
+// Offline testy extraktorů z csfd_core.mjs nad ručně psanými HTML stránkami (test/fixtures)
+// se strukturou, kterou extraktory čekají - hlídají regrese v kódu, ne změny layoutu ČSFD
+// Fixtures se servírují z lokálního HTTP serveru a čtou přes HTTP transport,
+// takže extraktory běží přes stejné Page API jako ve scraperech - bez sítě.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  configure,
+  parseListPage,
+  parseReviewPage,
+  extractRatingCountOnPage,
+  extractGenreOnPage,
+  extractDirectorOnPage,
+  extractCastOnPage,
+  extractCreatorsOnPage,
+  extractDescriptionOnPage,
+  extractOriginalTitleOnPage,
+  extractImdbOnPage,
+  extractCommunityRatingOnPage,
+  extractOriginFieldsOnPage,
+  parseOriginLine,
+  communityDeviation,
+  tryImdbJsonData,
+  needsImdbReview,
+} from "../csfd_core.mjs";
+import { createHttpContext } from "../csfd_transport.mjs";
+
+const FIXTURES = {
+  "/uzivatel/2544-ludivitto/hodnoceni/": "csfd_ratings_page.html",
+  "/uzivatel/2544-ludivitto/recenze/": "csfd_reviews_page.html",
+  "/film/227786-interstellar/": "csfd_film_detail.html",
+  "/film/5954-peliskyi/": "csfd_film_detail_fallback.html",
+  "/find/": "imdb_find.html",
+};
+
+let server;
+let baseUrl;
+const context = createHttpContext({ userAgent: "csfd-tests", log: () => {} });
+
+before(async () => {
+  configure({ verbose: false, debugDir: path.join(os.tmpdir(), "csfd-test-debug"), delays: { retry: 10 } });
+  server = http.createServer(async (req, res) => {
+    const file = FIXTURES[new URL(req.url, "http://localhost").pathname];
+    if (!file) {
+      res.writeHead(404).end();
+      return;
+    }
+    const html = await fs.readFile(new URL(`./fixtures/${file}`, import.meta.url), "utf8");
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" }).end(html);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+async function openFixture(pathname) {
+  const page = await context.newPage();
+  await page.goto(`${baseUrl}${pathname}`);
+  return page;
+}
+
+/** ────────────────────────────────
+ *  CSFD LIST PAGE
+ *  ──────────────────────────────── */
+test("parseListPage reads all rows with year, type, rating and absolute URL", async () => {
+  const page = await context.newPage();
+  const items = await parseListPage(page, `${baseUrl}/uzivatel/2544-ludivitto/hodnoceni/`, "test");
+
+  assert.equal(items.length, 4);
+  assert.deepEqual(
+    items.map(({ title, year, type, rating, ratingDate }) => ({ title, year, type, rating, ratingDate })),
+    [
+      { title: "Interstellar", year: "2014", type: "film", rating: "5", ratingDate: "14.11.2014" },
+      { title: "Rod Draka - Regent", year: "2024", type: "episode", rating: "4", ratingDate: "02.08.2024" },
+      { title: "1670 - Season 3", year: "2026", type: "season", rating: "4", ratingDate: "10.08.2026" },
+      { title: "1670", year: "2023", type: "series", rating: "", ratingDate: "01.03.2024" },
+    ]
+  );
+  assert.equal(items[0].url, `${baseUrl}/film/227786-interstellar/`);
+  assert.equal(items[1].url, `${baseUrl}/film/785031-rod-draka/1252639-vladar/prehled/`);
+  // Detailová pole zůstávají prázdná až do enrichmentu
+  assert.equal(items[0].imdb_id, "");
+  assert.equal(items[0].description, "");
+  assert.equal(items[0].review, "");
+});
+
+test("extractRatingCountOnPage reads the profile total with a non-breaking space", async () => {
+  const page = await openFixture("/uzivatel/2544-ludivitto/hodnoceni/");
+  assert.equal(await extractRatingCountOnPage(page), 3767);
+});
+
+test("parseReviewPage reads review text and normalizes the date", async () => {
+  const page = await context.newPage();
+  const reviews = await parseReviewPage(page, `${baseUrl}/uzivatel/2544-ludivitto/recenze/`, "test");
+
+  assert.deepEqual(reviews, [
+    {
+      title: "Interstellar",
+      url: `${baseUrl}/film/227786-interstellar/`,
+      review: "Nolan opět ukazuje, že umí spojit velkolepou vizuální show s lidským příběhem. Zimmerova hudba a „Není čas“ – scéna na vodní planetě – patří k tomu nejlepšímu.",
+      reviewDate: "14.11.2014",
+    },
+    {
+      title: "Rod Draka - Regent",
+      url: `${baseUrl}/film/785031-rod-draka/1252639-regent/`,
+      review: "Pomalejší epizoda, ale Daemonovy vize stojí za to.",
+      reviewDate: "02.08.2024",
+    },
+  ]);
+});
+
+/** ────────────────────────────────
+ *  CSFD DETAIL PAGE
+ *  ──────────────────────────────── */
+test("detail extractors read the current ČSFD layout", async () => {
+  const page = await openFixture("/film/227786-interstellar/");
+
+  assert.equal(await extractGenreOnPage(page), "Sci-Fi / Dobrodružný / Drama");
+  assert.equal(await extractDirectorOnPage(page), "Christopher Nolan");
+  assert.equal(
+    await extractCastOnPage(page),
+    "Matthew McConaughey, Anne Hathaway, Jessica Chastain, Matt Damon, Mackenzie Foy, Wes Bentley, David Gyasi, Michael Caine"
+  );
+  // Strukturovaní tvůrci - všichni herci včetně skrytých za "více", bez Produkce
+  const creators = await extractCreatorsOnPage(page);
+  assert.deepEqual(creators.directors, ["Christopher Nolan"]);
+  assert.deepEqual(creators.screenplay, ["Christopher Nolan", "Jonathan Nolan"]);
+  assert.deepEqual(creators.novel, []);
+  assert.deepEqual(creators.camera, ["Hoyte Van Hoytema"]);
+  assert.deepEqual(creators.music, ["Hans Zimmer"]);
+  assert.equal(creators.actors.length, 11);
+  assert.equal(creators.actors.at(-1), "Ellen Burstyn");
+  assert.equal(
+    await extractDescriptionOnPage(page),
+    "Když se náš čas na Zemi chýlí ke konci, je skupina výzkumníků pověřena nejdůležitějším posláním v lidských dějinách: cestou za hranice naší galaxie, při které má za úkol najít mezi hvězdami pro lidstvo nový domov."
+  );
+  assert.equal(await extractOriginalTitleOnPage(page), "Interstellar");
+  assert.deepEqual(await extractImdbOnPage(page), {
+    imdb_id: "tt0816692",
+    imdb_url: "https://www.imdb.com/title/tt0816692/",
+    imdb_match_source: "csfd-link",
+  });
+  assert.deepEqual(await extractCommunityRatingOnPage(page), {
+    csfd_rating: "89",
+    csfd_votes: "118537",
+    csfd_rank: "11. nejlepší film; 6. nejoblíbenější film",
+  });
+  // Nejdřívější česká premiéra, slovenská se ignoruje
+  assert.deepEqual(await extractOriginFieldsOnPage(page), {
+    country: "USA / Velká Británie / Kanada",
+    runtime: "169",
+    premiere_cz: "06.11.2014",
+  });
+});
+
+test("detail extractors fall back on older layouts, JSON-LD and hidden IMDb IDs", async () => {
+  const page = await openFixture("/film/5954-peliskyi/");
+
+  assert.equal(await extractGenreOnPage(page), "Komedie / Drama");
+  assert.equal(await extractDirectorOnPage(page), "Jan Hřebejk");
+  // Bez div.other-professions stačí nadpis skupiny "Hrají:"
+  assert.equal(await extractCastOnPage(page), "Miroslav Donutil, Jiří Kodet");
+  assert.equal(
+    await extractDescriptionOnPage(page),
+    'Komedie o dvou rodinách, které žijí v jedné vile nad Prahou. „Otec je komunista, druhý otec válečný veterán" a mezi nimi dorůstají děti.'
+  );
+  assert.equal(await extractOriginalTitleOnPage(page), "Cosy Dens");
+  assert.deepEqual(await extractImdbOnPage(page), {
+    imdb_id: "tt0167331",
+    imdb_url: "https://www.imdb.com/title/tt0167331/",
+    imdb_match_source: "hidden-html",
+  });
+  assert.deepEqual(await extractCommunityRatingOnPage(page), { csfd_rating: "88", csfd_votes: "71204", csfd_rank: "" });
+  assert.deepEqual(await extractOriginFieldsOnPage(page), { country: "Česko", runtime: "115", premiere_cz: "" });
+});
+
+test("parseOriginLine handles series runtimes and lines without a country", () => {
+  assert.deepEqual(parseOriginLine("USA, 2011–2019, 73 h 9 min (Minutáž: 50–80 min)"), { country: "USA", runtime: "4389" });
+  assert.deepEqual(parseOriginLine("2024, 45 min"), { country: "", runtime: "45" });
+  assert.deepEqual(parseOriginLine(""), { country: "", runtime: "" });
+});
+
+test("communityDeviation compares stars × 20 with the community percentage", () => {
+  assert.equal(communityDeviation({ rating: "5", csfd_rating: "62" }), 38);
+  assert.equal(communityDeviation({ rating: "", csfd_rating: "45" }), -45);
+  assert.equal(communityDeviation({ rating: "3", csfd_rating: "" }), null);
+});
+
+/** ────────────────────────────────
+ *  IMDB SEARCH PAGE
+ *  ──────────────────────────────── */
+test("tryImdbJsonData picks the exact title and year from __NEXT_DATA__", async () => {
+  const page = await openFixture("/find/?q=Interstellar");
+  const result = await tryImdbJsonData(page, "Interstellar", "2014");
+
+  assert.equal(result.imdb_id, "tt0816692");
+  assert.equal(result.imdb_url, "https://www.imdb.com/title/tt0816692/");
+  assert.equal(result.title, "Interstellar");
+  assert.equal(result.year, "2014");
+  // Skóre a další kandidáti - bez shody v názvu (Inception) se kandidát zahodí
+  assert.equal(result.imdb_match_score, 1);
+  assert.deepEqual(result.imdb_candidates.map(({ imdb_id, score }) => [imdb_id, score]), [["tt4415360", 0.83], ["tt0360556", 0.5]]);
+});
+
+test("needsImdbReview flags low-scored matches but not links or unscored records", () => {
+  assert.equal(needsImdbReview({ imdb_id: "tt0360556", imdb_match_source: "search-original", imdb_match_score: "0.5" }), true);
+  assert.equal(needsImdbReview({ imdb_id: "tt0816692", imdb_match_source: "csfd-link", imdb_match_score: "1" }), false);
+  assert.equal(needsImdbReview({ imdb_id: "tt0816692", imdb_url: "https://www.imdb.com/title/tt0816692/" }), false);
+});
+
+test("tryImdbJsonData returns null when nothing resembles the title", async () => {
+  const page = await openFixture("/find/?q=Interstellar");
+  assert.equal(await tryImdbJsonData(page, "Pelíšky", "1999"), null);
+});
@@ -0,0 +1,89 @@
+// Testy offline IMDb matcheru (imdb_index.mjs) nad výřezem title.basics/title.akas
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+
+import { createImdbIndex, loadImdbIndex, resolveImdbIndex } from "../imdb_index.mjs";
+
+const fixture = (name) => new URL(`./fixtures/${name}`, import.meta.url).pathname;
+const basics = fixture("imdb_title.basics.tsv");
+const akas = fixture("imdb_title.akas.tsv");
+
+const index = await loadImdbIndex({ basics, akas });
+const best = (query) => {
+  const result = index.match(query);
+  return result && [result.imdb_id, result.imdb_match_score];
+};
+
+test("original title + year + type resolve to the IMDb ID", () => {
+  assert.deepEqual(best({ titles: ["The Words"], year: "2012", type: "film" }), ["tt1840417", 1]);
+  // Film z 2024, ne minisérie z 2005 se stejným originálním názvem
+  assert.deepEqual(best({ titles: ["Master i Margarita"], year: "2024", type: "film" }), ["tt33823124", 1]);
+  assert.deepEqual(best({ titles: ["Master i Margarita"], year: "2005", type: "series" }), ["tt0403783", 1]);
+  assert.equal(index.match({ titles: ["Master i Margarita"], year: "2024", type: "film" }).imdb_url, "https://www.imdb.com/title/tt33823124/");
+});
+
+test("off-by-one and wrong years lower the score", () => {
+  assert.deepEqual(best({ titles: ["Blink Twice"], year: "2025", type: "film" }), ["tt5672290", 0.83]);
+  assert.deepEqual(best({ titles: ["Blink Twice"], year: "2019", type: "film" }), ["tt5672290", 0.67]);
+  assert.equal(index.match({ titles: ["Legends"], year: "2026", type: "film" }), null);
+  assert.equal(index.match({ titles: ["Nonexistent"], year: "2026", type: "film" }), null);
+  // Bez roku jen název - pod hranicí kontroly
+  assert.deepEqual(best({ titles: ["Master i Margarita"], year: "", type: "series" }), ["tt0403783", 0.75]);
+});
+
+test("Czech transcriptions of Japanese titles hit the Hepburn original", () => {
+  assert.deepEqual(best({ titles: ["Kimitači wa dó ikiru ka"], year: "2023", type: "film" }), ["tt6587046", 1]);
+  assert.deepEqual(best({ titles: ["Suzume no todžimari"], year: "2022", type: "film" }), ["tt16428256", 1]);
+});
+
+test("Czech akas match the ČSFD title, other regions are skipped", () => {
+  assert.deepEqual(best({ titles: ["", "Trojúhelník smutku"], year: "2022", type: "film" }), ["tt7322224", 1]);
+  assert.deepEqual(best({ titles: ["Slova"], year: "2012", type: "film" }), ["tt1840417", 1]);
+  assert.equal(index.match({ titles: ["Trojuholník smútku"], year: "2022", type: "film" }), null);
+});
+
+test("equally good titles are a coin flip and keep the runner-ups", () => {
+  const homonyms = createImdbIndex();
+  homonyms.add({ tconst: "tt0000101", titleType: "movie", primaryTitle: "Obsession", startYear: "2025" });
+  homonyms.add({ tconst: "tt0000102", titleType: "movie", primaryTitle: "Obsession", startYear: "2025" });
+  homonyms.add({ tconst: "tt0000103", titleType: "movie", primaryTitle: "Obsession", startYear: "1954" });
+
+  const result = homonyms.match({ titles: ["Obsession"], year: "2025", type: "film" });
+  assert.equal(result.imdb_match_score, 0.5);
+  assert.deepEqual(result.imdb_candidates.map(({ imdb_id, score }) => [imdb_id, score]), [["tt0000102", 1], ["tt0000103", 0.67]]);
+});
+
+test("long vowels only merge keys of transcribed titles", () => {
+  const english = createImdbIndex();
+  english.add({ tconst: "tt0000201", titleType: "movie", primaryTitle: "Good Will Hunting", startYear: "1997" });
+  english.add({ tconst: "tt0000202", titleType: "movie", primaryTitle: "Moon", startYear: "2009" });
+  english.add({ tconst: "tt0000203", titleType: "movie", primaryTitle: "Gekijōban", startYear: "2009" });
+
+  assert.equal(english.match({ titles: ["God Will Hunting"], year: "1997", type: "film" }), null);
+  assert.equal(english.match({ titles: ["Mon"], year: "2009", type: "film" }), null);
+  assert.equal(english.match({ titles: ["Moon"], year: "2009", type: "film" }).imdb_id, "tt0000202");
+  assert.equal(english.match({ titles: ["Gekijouban"], year: "2009", type: "film" }).imdb_id, "tt0000203");
+});
+
+test("gzipped dumps load the same, episodes only on request", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "csfd-imdb-"));
+  try {
+    const gz = path.join(dir, "title.basics.tsv.gz");
+    await fs.writeFile(gz, zlib.gzipSync(await fs.readFile(basics)));
+
+    const plain = await resolveImdbIndex({ argv: ["--imdb-basics", gz], env: {} });
+    const episodes = await resolveImdbIndex({ argv: ["--imdb-basics", gz, "--imdb-episodes"], env: {} });
+
+    assert.equal(plain.size, 9);
+    assert.equal(plain.match({ titles: ["Regent"], year: "2024", type: "episode" }), null);
+    assert.equal(episodes.match({ titles: ["Regent"], year: "2024", type: "episode" }).imdb_id, "tt15766340");
+    assert.equal(await resolveImdbIndex({ argv: [], env: {} }), null);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,435 @@
+// End-to-end testy proti lokálnímu mocku (mock_server.mjs) - stránkování,
+// retry na 5xx, prázdné stránky, cookie lišta a celý inkrementální běh.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+
+import { configure, parseListPage, listPageUrl, scrapeDetails, csfdItemKey, cleanTitle } from "../csfd_core.mjs";
+import { createHttpContext } from "../csfd_transport.mjs";
+import { startMockServer } from "../mock_server.mjs";
+import { loadImdbIndex } from "../imdb_index.mjs";
+
+const records = JSON.parse(await fs.readFile(new URL("./fixtures/mock_ratings.json", import.meta.url), "utf8"));
+const context = createHttpContext({ userAgent: "csfd-tests", log: () => {} });
+const profilePath = "/uzivatel/2544-ludivitto/hodnoceni/";
+
+let mock;
+
+before(async () => {
+  mock = await startMockServer({ records });
+  configure({
+    verbose: false,
+    debugDir: path.join(os.tmpdir(), "csfd-test-debug"),
+    origins: { csfd: mock.url, imdb: mock.url },
+    delays: { retry: 10 },
+  });
+});
+
+after(() => mock.close());
+
+async function withMock(options, fn) {
+  const server = await startMockServer({ records, ...options });
+  try {
+    return await fn(server);
+  } finally {
+    await server.close();
+  }
+}
+
+test("list pages are paginated like ČSFD and end with an empty page", async () => {
+  const page = await context.newPage();
+  const base = `${mock.url}${profilePath}`;
+
+  const first = await parseListPage(page, listPageUrl(base, 1), "mock_p1");
+  const last = await parseListPage(page, listPageUrl(base, 3), "mock_p3");
+  const beyond = await parseListPage(page, listPageUrl(base, 4), "mock_p4");
+
+  assert.equal(first.length, 50);
+  assert.equal(last.length, 20);
+  assert.equal(beyond.length, 0);
+  assert.deepEqual(
+    first.slice(0, 3).map(({ title, year, type, rating, ratingDate }) => ({ title, year, type, rating, ratingDate })),
+    records.slice(0, 3).map(({ title, year, type, rating, ratingDate }) => ({ title, year, type, rating, ratingDate }))
+  );
+  assert.equal(csfdItemKey(first[0].url), csfdItemKey(records[0].url));
+});
+
+test("injected 5xx errors are retried", () =>
+  withMock({ failFirst: 1 }, async (server) => {
+    const page = await context.newPage();
+    const url = `${server.url}${profilePath}`;
+    const items = await parseListPage(page, url, "mock_retry");
+
+    assert.equal(items.length, 50);
+    assert.equal(server.stats.errors, 1);
+    assert.equal(server.stats.byUrl.get(profilePath), 2);
+  }));
+
+test("injected empty pages parse as no rows", () =>
+  withMock({ emptyPages: [2] }, async (server) => {
+    const page = await context.newPage();
+    const items = await parseListPage(page, listPageUrl(`${server.url}${profilePath}`, 2), "mock_empty");
+    assert.deepEqual(items, []);
+  }));
+
+test("cookie banner does not hide the ratings", () =>
+  withMock({ cookieBanner: true }, async (server) => {
+    const page = await context.newPage();
+    const items = await parseListPage(page, `${server.url}${profilePath}`, "mock_cookies");
+    assert.equal(items.length, 50);
+  }));
+
+test("scrapeDetails reads generated detail pages at the mock origin", async () => {
+  const film = records.find((r) =>
+    r.type === "film" && r.imdb_id && r.director && r.cast && r.original_title === cleanTitle(r.original_title)
+  );
+  const details = await scrapeDetails(context, film);
+
+  assert.equal(details.imdb_id, film.imdb_id);
+  assert.equal(details.original_title, film.original_title);
+  assert.equal(details.director, film.director.split(",")[0].trim());
+  assert.equal(details.cast, film.cast);
+  assert.deepEqual(details.creators.actors, film.cast.split(", "));
+});
+
+test("the offline IMDb index is used before any live search", async () => {
+  const film = records.find((r) => r.imdb_id === "tt7322224");
+  const imdbIndex = await loadImdbIndex({
+    basics: new URL("./fixtures/imdb_title.basics.tsv", import.meta.url).pathname,
+    akas: new URL("./fixtures/imdb_title.akas.tsv", import.meta.url).pathname,
+  });
+  // Detail bez IMDb odkazu - bez indexu by to šlo na /find
+  await withMock({ records: [{ ...film, imdb_id: "" }] }, async (server) => {
+    configure({ origins: { csfd: server.url, imdb: server.url }, imdbIndex });
+    try {
+      const details = await scrapeDetails(context, film);
+      assert.equal(details.imdb_id, "tt7322224");
+      assert.equal(details.imdb_match_source, "imdb-dataset");
+      assert.equal(details.imdb_match_score, "1");
+      assert.deepEqual([...server.stats.byUrl.keys()].filter((key) => key.startsWith("/find")), []);
+    } finally {
+      configure({ origins: { csfd: mock.url, imdb: mock.url }, imdbIndex: null });
+    }
+  });
+});
+
+test("seasons and episodes resolve the parent series, then the episode by number or title", async () => {
+  const series = records.find((r) => r.url === "https://www.csfd.cz/film/1513493-pluribus/prehled/");
+  const base = "https://www.csfd.cz/film/1513493-pluribus";
+  const season = { title: "Pluribus - Season 1", year: "2025", type: "season", url: `${base}/1710075-season-1/prehled/`, imdb_id: "" };
+  // ČSFD odkazuje u epizody na seriál - to není ID epizody
+  const numbered = { title: "Pluribus - PHP", year: "2025", type: "episode", url: `${base}/1710082-php/prehled/`, imdb_id: series.imdb_id, original_title: "HDP", season_number: "1", episode_number: "3" };
+  const unnumbered = { title: "Pluribus - Granát", year: "2025", type: "episode", url: `${base}/1710079-granat/prehled/`, imdb_id: "", original_title: "Grenade" };
+  const imdbEpisodes = {
+    [series.imdb_id]: [
+      { id: "tt0000201", season: 1, episode: 1, title: "We Is Us" },
+      { id: "tt0000203", season: 1, episode: 3, title: "HDP" },
+      { id: "tt0000204", season: 1, episode: 4, title: "Grenade" },
+    ],
+  };
+
+  await withMock({ records: [series, season, numbered, unnumbered], imdbEpisodes }, async (server) => {
+    configure({ origins: { csfd: server.url, imdb: server.url } });
+    try {
+      const pick = ({ imdb_id, imdb_url, imdb_match_source, imdb_match_score, series_imdb_id, season_number, episode_number }) =>
+        ({ imdb_id, imdb_url, imdb_match_source, imdb_match_score, series_imdb_id, season_number, episode_number });
+
+      assert.deepEqual(pick(await scrapeDetails(context, season)), {
+        imdb_id: series.imdb_id,
+        imdb_url: `https://www.imdb.com/title/${series.imdb_id}/episodes/?season=1`,
+        imdb_match_source: "parent",
+        imdb_match_score: "1",
+        series_imdb_id: series.imdb_id,
+        season_number: "1",
+        episode_number: "",
+      });
+      assert.deepEqual(pick(await scrapeDetails(context, numbered)), {
+        imdb_id: "tt0000203",
+        imdb_url: "https://www.imdb.com/title/tt0000203/",
+        imdb_match_source: "episode-list",
+        imdb_match_score: "1",
+        series_imdb_id: series.imdb_id,
+        season_number: "1",
+        episode_number: "3",
+      });
+      const byTitle = await scrapeDetails(context, unnumbered);
+      assert.deepEqual([byTitle.imdb_id, byTitle.imdb_match_source, byTitle.series_imdb_id], ["tt0000204", "episode-list", series.imdb_id]);
+
+      // Seriál se stáhl jednou, seznam epizod jednou na sérii, žádné obecné hledání
+      const keys = [...server.stats.byUrl.keys()];
+      assert.equal(server.stats.byUrl.get("/film/1513493-pluribus/"), 1);
+      assert.deepEqual(keys.filter((key) => key.startsWith("/title/")), [`/title/${series.imdb_id}/episodes/?season=1`, `/title/${series.imdb_id}/episodes/`]);
+      assert.deepEqual(keys.filter((key) => key.startsWith("/find")), []);
+    } finally {
+      configure({ origins: { csfd: mock.url, imdb: mock.url } });
+    }
+  });
+});
+
+test("incremental_scraper runs end-to-end against the mock", async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "csfd-mock-"));
+  try {
+    // Dataset bez dvou nejnovějších hodnocení - běh je má najít jako nové
+    await fs.writeFile(path.join(dataDir, "csfd_ratings.json"), JSON.stringify(records.slice(2)));
+
+    // cwd v dočasném adresáři - debug výstupy scraperu nezůstanou v repozitáři
+    await promisify(execFile)(process.execPath, [
+      new URL("../incremental_scraper.mjs", import.meta.url).pathname,
+      "--transport", "http",
+      "--base-url", mock.url,
+      "--imdb-base-url", mock.url,
+      "--data-dir", dataDir,
+    ], { cwd: dataDir, timeout: 60_000 });
+
+    const report = JSON.parse(await fs.readFile(path.join(dataDir, "new_items.json"), "utf8"));
+    const dataset = JSON.parse(await fs.readFile(path.join(dataDir, "csfd_ratings.json"), "utf8"));
+
+    assert.deepEqual(report.new.map((r) => r.title), records.slice(0, 2).map((r) => r.title));
+    assert.deepEqual(report.changed, []);
+    assert.equal(dataset.length, records.length);
+    assert.equal(dataset[0].imdb_id, records[0].imdb_id);
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test("incremental_scraper updates a re-rated title in place", async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "csfd-mock-"));
+  const rerated = { ...records[0], rating: "5", ratingDate: "20.10.2026" };
+  const server = await startMockServer({ records: [rerated, ...records.slice(1)] });
+  try {
+    await fs.writeFile(path.join(dataDir, "csfd_ratings.json"), JSON.stringify(records));
+
+    await promisify(execFile)(process.execPath, [
+      new URL("../incremental_scraper.mjs", import.meta.url).pathname,
+      "--transport", "http",
+      "--base-url", server.url,
+      "--imdb-base-url", server.url,
+      "--data-dir", dataDir,
+    ], { cwd: dataDir, timeout: 60_000 });
+
+    const report = JSON.parse(await fs.readFile(path.join(dataDir, "new_items.json"), "utf8"));
+    const dataset = JSON.parse(await fs.readFile(path.join(dataDir, "csfd_ratings.json"), "utf8"));
+    const updated = dataset.filter((r) => csfdItemKey(r.url) === csfdItemKey(records[0].url));
+
+    assert.deepEqual(report.new, []);
+    assert.deepEqual(report.changed.map((r) => [r.title, r.rating, r.previous]), [
+      [records[0].title, "5", { rating: records[0].rating, ratingDate: records[0].ratingDate }],
+    ]);
+    assert.equal(dataset.length, records.length);
+    assert.deepEqual(updated.map((r) => [r.rating, r.ratingDate, r.imdb_id]), [["5", "20.10.2026", records[0].imdb_id]]);
+    assert.deepEqual(updated[0].rating_history.map(({ rating, ratingDate, seenAt }) => [rating, ratingDate, seenAt === null]), [
+      [records[0].rating, records[0].ratingDate, true],
+      ["5", "20.10.2026", false],
+    ]);
+  } finally {
+    await server.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+// Rekonciliace: fixture bez duplicitního záznamu, aby počet na profilu odpovídal titulům
+const distinct = records.filter((r, i) => records.findIndex((o) => csfdItemKey(o.url) === csfdItemKey(r.url)) === i);
+const removed = distinct[60];
+
+async function reconcileRun(options, fn) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "csfd-mock-"));
+  const server = await startMockServer({ records: distinct.filter((r) => r !== removed), ...options });
+  const run = (script, args = []) =>
+    promisify(execFile)(process.execPath, [
+      new URL(`../${script}`, import.meta.url).pathname,
+      "--transport", "http",
+      "--base-url", server.url,
+      "--imdb-base-url", server.url,
+      "--data-dir", dataDir,
+      ...args,
+    ], { cwd: dataDir, timeout: 60_000 });
+  const readJson = async (name) => JSON.parse(await fs.readFile(path.join(dataDir, name), "utf8"));
+  try {
+    await fs.writeFile(path.join(dataDir, "csfd_ratings.json"), JSON.stringify(distinct));
+    await fn({ run, readJson });
+  } finally {
+    await server.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+}
+
+test("reconcile tombstones a rating removed on ČSFD and the tombstone survives later runs", () =>
+  reconcileRun({}, async ({ run, readJson }) => {
+    await run("incremental_scraper.mjs", ["--reconcile"]);
+    const report = await readJson("new_items.json");
+    const tombstoned = (await readJson("csfd_ratings.json")).filter((r) => r.deletedAt);
+
+    assert.deepEqual(report.deleted.map((r) => r.url), [removed.url]);
+    assert.deepEqual(tombstoned.map((r) => r.url), [removed.url]);
+
+    // Další inkrementální běh i plný přepis datasetu záznam se značkou nechají
+    await run("incremental_scraper.mjs", ["--reconcile"]);
+    assert.equal((await readJson("csfd_ratings.json")).find((r) => r.url === removed.url).deletedAt, tombstoned[0].deletedAt);
+
+    await run("scrape_csfd.mjs", ["--skipDetails"]);
+    const rescraped = await readJson("csfd_ratings.json");
+    assert.equal(rescraped.length, distinct.length);
+    assert.equal(rescraped.find((r) => r.url === removed.url).deletedAt, tombstoned[0].deletedAt);
+  }));
+
+test("reconcile marks nothing when a middle page comes back empty", () =>
+  reconcileRun({ emptyPages: [2] }, async ({ run, readJson }) => {
+    const { stdout } = await run("incremental_scraper.mjs", ["--reconcile"]);
+    const dataset = await readJson("csfd_ratings.json");
+
+    assert.match(stdout, /nedokončen - rekonciliace přeskočena/);
+    assert.deepEqual(dataset.filter((r) => r.deletedAt), []);
+  }));
+
+test("scrape_csfd --reviews attaches crawled reviews by ČSFD ID", async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "csfd-mock-"));
+  try {
+    await promisify(execFile)(process.execPath, [
+      new URL("../scrape_csfd.mjs", import.meta.url).pathname,
+      "--transport", "http",
+      "--base-url", mock.url,
+      "--data-dir", dataDir,
+      "--maxItems", "3",
+      "--skipDetails",
+      "--reviews",
+    ], { cwd: dataDir, timeout: 60_000 });
+
+    const dataset = JSON.parse(await fs.readFile(path.join(dataDir, "csfd_ratings.json"), "utf8"));
+    const csv = await fs.readFile(path.join(dataDir, "csfd_ratings.csv"), "utf8");
+
+    assert.deepEqual(dataset.map((r) => r.review), records.slice(0, 3).map((r) => r.review || ""));
+    assert.equal(dataset[0].reviewDate, records[0].reviewDate);
+    assert.match(csv.split("\n")[0], /,review,reviewDate$/);
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test("watchlist is scraped with details and rated titles move to the ratings dataset", async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "csfd-mock-"));
+  const unique = (r) => records.filter((o) => csfdItemKey(o.url) === csfdItemKey(r.url)).length === 1;
+  const rated = records.slice(0, 50).filter((r) => r.type === "film" && r.imdb_id && unique(r)).slice(0, 2);
+  const unrated = { title: "Nový film", year: "2026", type: "film", url: "https://www.csfd.cz/film/999999-novy-film/" };
+  const watchlist = [...rated, unrated].map((r, i) => ({ ...r, addedDate: `0${i + 1}.10.2026` }));
+  const run = (script, args) =>
+    promisify(execFile)(process.execPath, [
+      new URL(`../${script}`, import.meta.url).pathname,
+      "--transport", "http",
+      "--base-url", server.url,
+      "--imdb-base-url", server.url,
+      "--data-dir", dataDir,
+      ...args,
+    ], { cwd: dataDir, timeout: 60_000 });
+
+  const server = await startMockServer({ records, watchlist });
+  try {
+    // Hodnocení zatím bez dvou titulů z watchlistu
+    await fs.writeFile(path.join(dataDir, "csfd_ratings.json"), JSON.stringify(records.filter((r) => !rated.includes(r))));
+
+    await run("scrape_csfd.mjs", ["--watchlist"]);
+    const scraped = JSON.parse(await fs.readFile(path.join(dataDir, "csfd_watchlist.json"), "utf8"));
+    const csv = await fs.readFile(path.join(dataDir, "csfd_watchlist.csv"), "utf8");
+
+    assert.deepEqual(scraped.map((r) => [r.title, r.addedDate]), watchlist.map((r) => [r.title, r.addedDate]));
+    assert.deepEqual(scraped.slice(0, 2).map((r) => r.imdb_id), rated.map((r) => r.imdb_id));
+    assert.ok(!("rating" in scraped[0]));
+    assert.match(csv.split("\n")[0], /^title,year,type,addedDate,url,imdb_id/);
+
+    await run("incremental_scraper.mjs", []);
+    const remaining = JSON.parse(await fs.readFile(path.join(dataDir, "csfd_watchlist.json"), "utf8"));
+    const dataset = JSON.parse(await fs.readFile(path.join(dataDir, "csfd_ratings.json"), "utf8"));
+    const state = JSON.parse(await fs.readFile(path.join(dataDir, "incremental_state.json"), "utf8"));
+
+    assert.deepEqual(remaining.map((r) => r.title), [unrated.title]);
+    assert.equal(state.movedFromWatchlist, 2);
+    assert.deepEqual(dataset.slice(0, 2).map((r) => r.imdb_id), rated.map((r) => r.imdb_id));
+  } finally {
+    await server.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test("migrate_origin_fields backfills from the cache and re-fetches the rest", async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "csfd-mock-"));
+  const withOrigin = records.map((r, i) => (i < 3 ? { ...r, country: "USA", runtime: String(100 + i), premiere_cz: `01.0${i + 1}.2024` } : r));
+  const server = await startMockServer({ records: withOrigin });
+  try {
+    await fs.writeFile(path.join(dataDir, "csfd_ratings.json"), JSON.stringify(records.slice(0, 3)));
+    // První záznam už má pole v cache plného scraperu
+    await fs.writeFile(path.join(dataDir, "scraper_cache.json"), JSON.stringify({
+      [`${records[0].url}::details`]: { imdb_id: records[0].imdb_id, country: "Česko", runtime: "90", premiere_cz: "" },
+    }));
+    // Ruční oprava vyhraje nad cache i staženým detailem, zbylá pole se stáhnou
+    await fs.writeFile(path.join(dataDir, "csfd_overrides.json"), JSON.stringify({
+      [records[0].url]: { runtime: "95" },
+      [records[1].url]: { country: "Kanada" },
+    }));
+
+    await promisify(execFile)(process.execPath, [
+      new URL("../migrate_origin_fields.mjs", import.meta.url).pathname,
+      "--transport", "http",
+      "--base-url", server.url,
+      "--data-dir", dataDir,
+    ], { cwd: dataDir, timeout: 60_000 });
+
+    const dataset = JSON.parse(await fs.readFile(path.join(dataDir, "csfd_ratings.json"), "utf8"));
+    const cache = JSON.parse(await fs.readFile(path.join(dataDir, "scraper_cache.json"), "utf8"));
+    const csv = await fs.readFile(path.join(dataDir, "csfd_ratings.csv"), "utf8");
+
+    assert.deepEqual(
+      dataset.map(({ country, runtime, premiere_cz }) => [country, runtime, premiere_cz]),
+      [["Česko", "95", ""], ["Kanada", "101", "01.02.2024"], ["USA", "102", "01.03.2024"]]
+    );
+    assert.deepEqual(dataset.slice(0, 2).map((r) => r.overridden), [{ runtime: "90" }, { country: "USA" }]);
+    assert.equal(server.stats.byUrl.get(new URL(records[0].url).pathname), undefined);
+    // Bez plného detailu v cache se nový záznam nevytvoří (plný scraper by ho vzal jako hotový)
+    assert.deepEqual(Object.keys(cache), [`${records[0].url}::details`]);
+    assert.match(csv.split("\n")[0], /,country,runtime,premiere_cz,/);
+  } finally {
+    await server.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test("backfill_fields fills the requested fields and resumes from its checkpoint", async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "csfd-mock-"));
+  const films = records.filter((r) => r.type === "film" && r.genre && r.description).slice(0, 3);
+  const stripped = films.map((r) => ({ ...r, genre: "", description: "" }));
+  const run = (args) =>
+    promisify(execFile)(process.execPath, [
+      new URL("../backfill_fields.mjs", import.meta.url).pathname,
+      "--transport", "http",
+      "--base-url", mock.url,
+      "--data-dir", dataDir,
+      "--fields", "genre,description",
+      "--type", "film",
+      ...args,
+    ], { cwd: dataDir, timeout: 60_000 });
+  const readJson = async (name) => JSON.parse(await fs.readFile(path.join(dataDir, name), "utf8"));
+
+  try {
+    await fs.writeFile(path.join(dataDir, "csfd_ratings.json"), JSON.stringify(stripped));
+
+    // První běh jen na jednu položku - zbytek zůstane v checkpointu na příště
+    const first = await run(["--limit", "1"]);
+    assert.equal((await readJson("backfill_state.json")).attempted.length, 1);
+    assert.match(first.stdout, /genre: ✅ 1 doplněno, ❌ 0 nenalezeno/);
+
+    await run([]);
+    const dataset = await readJson("csfd_ratings.json");
+    assert.deepEqual(dataset.map((r) => r.genre), films.map((r) => r.genre.split(/\s*\/\s*|\s{2,}/).join(" / ")));
+    assert.deepEqual(dataset.map((r) => r.description), films.map((r) => r.description));
+
+    const done = await run([]);
+    assert.match(done.stdout, /Všechny položky jsou doplněné/);
+    await assert.rejects(fs.access(path.join(dataDir, "backfill_state.json")));
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
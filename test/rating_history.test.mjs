@@ -0,0 +1,106 @@
+// Testy historie hodnocení (rating_history) a importu ze záloh (import_rating_history.mjs)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  appendRatingHistory,
+  mergeRatingHistory,
+  carryRatingHistory,
+  toV2Record,
+  fromV2Record,
+} from "../csfd_core.mjs";
+import { backupTimestamp, currentSnapshotTime, replayRatingHistory } from "../import_rating_history.mjs";
+
+const URL = "https://www.csfd.cz/film/4747-noc-na-zemi/";
+const states = (history) => history.map(({ rating, ratingDate, seenAt }) => `${rating}|${ratingDate}|${seenAt}`);
+
+test("appendRatingHistory only records a different rating or date", () => {
+  const item = { url: URL, rating: "4", ratingDate: "19.10.2025" };
+  assert.equal(appendRatingHistory(item, "2025-10-20T03:00:00.000Z"), true);
+  assert.equal(appendRatingHistory(item, "2025-10-21T03:00:00.000Z"), false);
+  assert.equal(appendRatingHistory(item, "2025-11-02T03:00:00.000Z", { rating: "5", ratingDate: "01.11.2025" }), true);
+  assert.deepEqual(states(item.rating_history), ["4|19.10.2025|2025-10-20T03:00:00.000Z", "5|01.11.2025|2025-11-02T03:00:00.000Z"]);
+});
+
+test("mergeRatingHistory sorts by seenAt and keeps the earliest sighting", () => {
+  const replayed = [
+    { rating: "4", ratingDate: "19.10.2025", seenAt: "2025-10-20T03:00:00.000Z" },
+    { rating: "5", ratingDate: "01.11.2025", seenAt: "2025-11-02T03:00:00.000Z" },
+  ];
+  const recorded = [
+    { rating: "4", ratingDate: "19.10.2025", seenAt: null },
+    { rating: "5", ratingDate: "01.11.2025", seenAt: "2025-11-03T03:00:00.000Z" },
+  ];
+  // Stav bez času, který zálohy viděly, nahradí jejich čas
+  assert.deepEqual(states(mergeRatingHistory(replayed, recorded)), ["4|19.10.2025|2025-10-20T03:00:00.000Z", "5|01.11.2025|2025-11-02T03:00:00.000Z"]);
+  assert.deepEqual(states(mergeRatingHistory([{ rating: "3", ratingDate: "01.01.2020", seenAt: null }], replayed)), ["3|01.01.2020|null", ...states(replayed)]);
+  assert.deepEqual(mergeRatingHistory(undefined, []), []);
+});
+
+test("carryRatingHistory keeps the history through a full rescrape", () => {
+  const previous = [
+    { url: URL, rating: "4", ratingDate: "19.10.2025", rating_history: [{ rating: "4", ratingDate: "19.10.2025", seenAt: "2025-10-20T03:00:00.000Z" }] },
+    { url: "https://www.csfd.cz/film/10135-forrest-gump/", rating: "5", ratingDate: "01.01.2020" },
+  ];
+  const scraped = [
+    { url: `${URL}prehled/`, rating: "5", ratingDate: "01.11.2025" },
+    { url: "https://www.csfd.cz/film/10135-forrest-gump/", rating: "5", ratingDate: "01.01.2020" },
+    { url: "https://www.csfd.cz/film/2294-vyvoleny/", rating: "3", ratingDate: "02.11.2025" },
+  ];
+  carryRatingHistory(scraped, previous, "2025-11-02T03:00:00.000Z");
+
+  assert.deepEqual(states(scraped[0].rating_history), ["4|19.10.2025|2025-10-20T03:00:00.000Z", "5|01.11.2025|2025-11-02T03:00:00.000Z"]);
+  // Záznam z doby před historií: starý stav bez času, beze změny se nic nepřidá
+  assert.deepEqual(states(scraped[1].rating_history), ["5|01.01.2020|null"]);
+  assert.deepEqual(states(scraped[2].rating_history), ["3|02.11.2025|2025-11-02T03:00:00.000Z"]);
+});
+
+test("backupTimestamp reads the ISO time from the backup filename", () => {
+  assert.equal(backupTimestamp("data/csfd_ratings_backup_2025-09-16T14-48-31-467Z.json"), "2025-09-16T14:48:31.467Z");
+  assert.equal(backupTimestamp("csfd_ratings_backup_before_imdb_fix.json"), null);
+});
+
+test("currentSnapshotTime prefers the last incremental run over the import time", () => {
+  const now = "2026-10-19T10:00:00.000Z";
+  assert.equal(currentSnapshotTime("2026-08-22T02:50:55.444Z", "2026-08-15T02:49:01.517Z", now), "2026-08-22T02:50:55.444Z");
+  // Běh starší než poslední záloha dataset nezapsal
+  assert.equal(currentSnapshotTime("2026-08-01T02:50:55.444Z", "2026-08-15T02:49:01.517Z", now), now);
+  assert.equal(currentSnapshotTime(null, undefined, now), now);
+});
+
+test("replayRatingHistory rebuilds the timeline from snapshots", () => {
+  const timelines = replayRatingHistory([
+    { seenAt: "2025-10-20T03:00:00.000Z", items: [{ url: URL, rating: "4", ratingDate: "19.10.2025" }] },
+    // Duplicitní záznam - platí první (nejnovější)
+    { seenAt: "2025-10-21T03:00:00.000Z", items: [{ url: `${URL}prehled/`, rating: "4", ratingDate: "19.10.2025" }, { url: URL, rating: "5", ratingDate: "19.10.2025" }] },
+    { seenAt: "2025-11-02T03:00:00.000Z", items: [{ url: URL, rating: "4", ratingDate: "19.10.2025", deletedAt: "2025-11-02T03:00:00.000Z" }] },
+    { seenAt: "2025-11-09T03:00:00.000Z", items: [{ url: URL, rating: "", ratingDate: "08.11.2025" }] },
+  ]);
+  assert.deepEqual(states(timelines.get("4747")), ["4|19.10.2025|2025-10-20T03:00:00.000Z", "|08.11.2025|2025-11-09T03:00:00.000Z"]);
+});
+
+test("importing after the scraper recorded a change keeps the real order", () => {
+  // Inkrementální běh zapsal 3 → 5 (starý stav bez času), zálohy viděly 2 → 3 → 5
+  const item = { url: URL, rating: "5", ratingDate: "01.11.2025" };
+  appendRatingHistory(item, null, { rating: "3", ratingDate: "19.10.2025" });
+  appendRatingHistory(item, "2025-11-02T03:00:00.000Z");
+  const timelines = replayRatingHistory([
+    { seenAt: "2025-10-01T03:00:00.000Z", items: [{ url: URL, rating: "2", ratingDate: "30.09.2025" }] },
+    { seenAt: "2025-10-20T03:00:00.000Z", items: [{ url: URL, rating: "3", ratingDate: "19.10.2025" }] },
+    { seenAt: "2025-11-05T03:00:00.000Z", items: [item] },
+  ]);
+
+  assert.deepEqual(states(mergeRatingHistory(timelines.get("4747"), item.rating_history)), [
+    "2|30.09.2025|2025-10-01T03:00:00.000Z",
+    "3|19.10.2025|2025-10-20T03:00:00.000Z",
+    "5|01.11.2025|2025-11-02T03:00:00.000Z",
+  ]);
+});
+
+test("rating_history converts to the v2 schema and back", () => {
+  const item = { url: URL, rating_history: [{ rating: "", ratingDate: "19.10.2025", seenAt: null }, { rating: "5", ratingDate: "01.11.2025", seenAt: "2025-11-02T03:00:00.000Z" }] };
+  const v2 = toV2Record(item);
+  assert.deepEqual(v2.rating_history, [{ rating: 0, ratingDate: "2025-10-19", seenAt: null }, { rating: 5, ratingDate: "2025-11-01", seenAt: "2025-11-02T03:00:00.000Z" }]);
+  assert.deepEqual(fromV2Record(v2).rating_history, item.rating_history);
+});
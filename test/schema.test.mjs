@@ -0,0 +1,101 @@
+// Testy převodu na schéma v2 a zpět (csfd_core.mjs SCHEMA V2)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+
+import {
+  toV2Record,
+  fromV2Record,
+  toV2Document,
+  fromV2Document,
+  csfdDateToIso,
+  toCsv,
+  CSV_HEADER,
+} from "../csfd_core.mjs";
+
+const records = JSON.parse(await fs.readFile(new URL("./fixtures/mock_ratings.json", import.meta.url), "utf8"));
+const schema = JSON.parse(await fs.readFile(new URL("../schema/csfd_ratings.v2.schema.json", import.meta.url), "utf8"));
+
+const legacy = {
+  title: "Hoosiers",
+  year: "1986",
+  type: "film",
+  rating: "",
+  ratingDate: "2.8.2024",
+  url: "https://www.csfd.cz/film/9437-hoosiers/",
+  imdb_id: "tt0091217",
+  imdb_url: "https://www.imdb.com/title/tt0091217/",
+  original_title: "",
+  genre: "Psychologický  Sportovní  Drama",
+  director: "David Anspaugh",
+  cast: "Gene Hackman, Barbara Hershey, Harry Connick, Jr., Dennis Hopper",
+  description: "",
+  csfd_rating: "81",
+  csfd_votes: "2410",
+  csfd_rank: "",
+  country: "USA / Velká Británie",
+  runtime: "114",
+  premiere_cz: "",
+};
+
+test("toV2Record turns joined strings into arrays, numbers and ISO dates", () => {
+  const record = toV2Record(legacy);
+
+  assert.equal(record.year, 1986);
+  assert.equal(record.rating, 0);
+  assert.equal(record.ratingDate, "2024-08-02");
+  assert.deepEqual(record.genres, ["Psychologický", "Sportovní", "Drama"]);
+  assert.deepEqual(record.directors, ["David Anspaugh"]);
+  assert.deepEqual(record.cast, ["Gene Hackman", "Barbara Hershey", "Harry Connick, Jr.", "Dennis Hopper"]);
+  assert.deepEqual(record.countries, ["USA", "Velká Británie"]);
+  assert.equal(record.csfd_votes, 2410);
+  assert.equal(record.runtime, 114);
+  assert.equal(record.original_title, null);
+  assert.deepEqual(record.csfd_rank, []);
+  assert.ok(!("genre" in record));
+});
+
+test("full crew from creators wins over the truncated flat columns", () => {
+  const actors = Array.from({ length: 12 }, (_, i) => `Herec ${i + 1}`);
+  const record = toV2Record({ ...legacy, creators: { directors: ["A", "B"], actors } });
+
+  assert.deepEqual(record.directors, ["A", "B"]);
+  assert.equal(record.cast.length, 12);
+  // Legacy CSV dál drží prvního režiséra a 8 herců
+  assert.equal(fromV2Record(record).director, "A");
+  assert.equal(fromV2Record(record).cast.split(", ").length, 8);
+});
+
+test("legacy records survive the round trip except for unified genre separators", () => {
+  for (const item of records) {
+    const back = fromV2Record(toV2Record(item));
+    assert.deepEqual(Object.keys(back), Object.keys(item));
+    assert.deepEqual({ ...back, genre: "" }, { ...item, genre: "" });
+    assert.equal(back.genre, toV2Record(item).genres.join(" / "));
+  }
+});
+
+test("legacy CSV from the v2 document matches the header", () => {
+  const items = fromV2Document(toV2Document(records.slice(0, 5)));
+  const [header, first] = toCsv(items).split("\n");
+
+  assert.equal(header, CSV_HEADER.join(","));
+  assert.ok(first.startsWith(`${records[0].title},${records[0].year},`));
+  assert.throws(() => fromV2Document({ schemaVersion: 1, items: [] }), /schema version/);
+});
+
+test("v2 records carry every required property of the JSON Schema", () => {
+  const doc = toV2Document(records);
+  const { required, properties } = schema.$defs.record;
+
+  assert.equal(doc.schemaVersion, schema.properties.schemaVersion.const);
+  for (const record of doc.items) {
+    for (const key of required) assert.ok(key in record, `${record.title}: ${key}`);
+    assert.ok(properties.type.enum.includes(record.type));
+    assert.ok(Number.isInteger(record.rating) && record.rating >= 0 && record.rating <= 5);
+    assert.match(record.ratingDate, /^\d{4}-\d{2}-\d{2}$/);
+    assert.ok(record.genres.every((g) => g && !/\s{2}/.test(g)));
+  }
+  assert.equal(csfdDateToIso("nesmysl"), null);
+});
@@ -0,0 +1,61 @@
+// Testy stromu seriálů (series_view.mjs) - seriál → série → epizody a průměr hodnocení
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildSeriesTree, aggregateRating } from "../series_view.mjs";
+
+const base = "https://www.csfd.cz/film/1513493-pluribus";
+const record = (title, type, url, rating, extra = {}) => ({ title, year: "2025", type, rating, ratingDate: "01.01.2026", url, imdb_id: "", ...extra });
+
+const items = [
+  record("Pluribus - Granát", "episode", `${base}/1710079-granat/prehled/`, "5", { season_number: "1", episode_number: "4" }),
+  record("Pluribus - PHP", "episode", `${base}/1710082-php/prehled/`, "3", { season_number: "1", episode_number: "3" }),
+  record("Pluribus - Úžina", "episode", `${base}/1710083-uzina/prehled/`, "4"),
+  record("Pluribus - Season 1", "season", `${base}/1710075-season-1/prehled/`, "4"),
+  record("Pluribus", "series", `${base}/prehled/`, "5", { imdb_id: "tt22202452" }),
+  record("Slova", "film", "https://www.csfd.cz/film/301629-slova/prehled/", "4"),
+  // Seriál bez vlastního hodnocení, epizoda ohodnocená jako "odpad!"
+  record("Rod Draka - Regent", "episode", "https://www.csfd.cz/film/785031-rod-draka/1252639-vladar/prehled/", ""),
+  record("Smazaná", "episode", `${base}/1710099-smazana/prehled/`, "1", { deletedAt: "2026-01-02T00:00:00.000Z" }),
+];
+
+test("a series nests its seasons and episodes, numbered episodes under their season", () => {
+  const [pluribus, rodDraka] = buildSeriesTree(items);
+
+  assert.equal(pluribus.title, "Pluribus");
+  assert.equal(pluribus.imdb_id, "tt22202452");
+  assert.equal(pluribus.rated, true);
+  assert.deepEqual(pluribus.seasons.map((s) => [s.title, s.season_number]), [["Pluribus - Season 1", "1"]]);
+  assert.deepEqual(pluribus.seasons[0].episodes.map((e) => e.title), ["Pluribus - PHP", "Pluribus - Granát"]);
+  assert.deepEqual(pluribus.episodes.map((e) => e.title), ["Pluribus - Úžina"]);
+
+  assert.equal(rodDraka.title, "Rod Draka");
+  assert.equal(rodDraka.rated, false);
+  assert.equal(rodDraka.url, "https://www.csfd.cz/film/785031-rod-draka/");
+});
+
+test("aggregate rating averages the whole group, odpad! counts as 0", () => {
+  const [pluribus, rodDraka] = buildSeriesTree(items);
+
+  assert.deepEqual([pluribus.aggregate_rating, pluribus.rated_count], [4.2, 5]);
+  assert.deepEqual([pluribus.seasons[0].aggregate_rating, pluribus.seasons[0].rated_count], [4, 3]);
+  assert.deepEqual([rodDraka.aggregate_rating, rodDraka.rated_count], [0, 1]);
+  assert.deepEqual(aggregateRating([]), { aggregate_rating: null, rated_count: 0 });
+});
+
+test("films are not series and stored parent_url/series_url win over the URL", () => {
+  const tree = buildSeriesTree(items);
+  assert.equal(tree.length, 2);
+
+  // Epizoda pod sérií (tříúrovňová cesta)
+  const simpsons = "https://www.csfd.cz/film/69451-simpsonovi/";
+  const nested = buildSeriesTree([
+    record("Simpsonovi - Série 1", "season", `${simpsons}484938-serie-1/`, "4"),
+    record("Simpsonovi - Epizoda", "episode", `${simpsons}484938-serie-1/484939-epizoda/`, "5", {
+      parent_url: `${simpsons}484938-serie-1/`,
+      series_url: simpsons,
+    }),
+  ]);
+  assert.deepEqual(nested[0].seasons[0].episodes.map((e) => e.title), ["Simpsonovi - Epizoda"]);
+});
@@ -0,0 +1,108 @@
+// Testy normalizace a podobnosti názvů (title_match.mjs) a IMDb skóre na
+// skutečných chybách z datasetu (špatné nebo nejisté shody starého porovnání)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  foldDiacritics,
+  normalizeTitle,
+  romanizeTitle,
+  romanizationVariants,
+  levenshtein,
+  tokenSetRatio,
+  titleSimilarity,
+} from "../title_match.mjs";
+import { scoreImdbCandidates, needsImdbReview } from "../csfd_core.mjs";
+
+const similarity = (a, b) => Math.round(titleSimilarity(a, b) * 100) / 100;
+const best = (candidates, title, year) => {
+  const result = scoreImdbCandidates(candidates, title, year);
+  return result && [result.imdb_id, result.imdb_match_score];
+};
+
+test("normalizeTitle folds diacritics, punctuation and leading articles", () => {
+  assert.equal(foldDiacritics("Amélie"), "Amelie");
+  assert.equal(normalizeTitle("L'Écume des jours"), "ecume des jours");
+  assert.equal(normalizeTitle("The Grinch"), normalizeTitle("Grinch"));
+  assert.equal(normalizeTitle("Mr. & Mrs. Smith"), "mr and mrs smith");
+  // Samotný člen je název, ne člen
+  assert.equal(normalizeTitle("The"), "the");
+});
+
+test("romanizeTitle reads Czech transcription like Hepburn/English", () => {
+  assert.equal(romanizeTitle("Kimitači wa dó ikiru ka"), romanizeTitle("Kimitachi wa dô ikiru ka"));
+  assert.equal(romanizeTitle("Suzume no todžimari"), romanizeTitle("Suzume no tojimari"));
+  assert.equal(romanizeTitle("Čeburaška"), "cheburashka");
+  assert.equal(romanizeTitle("Gekijouban"), romanizeTitle("Gekijōban"));
+});
+
+test("romanizationVariants only suggests spellings that differ", () => {
+  assert.deepEqual(romanizationVariants("Kimitači wa dó ikiru ka"), ["Kimitachi wa do ikiru ka"]);
+  assert.deepEqual(romanizationVariants("Gekijouban Kimetsu no Yaiba: Mugen-jou Hen"), ["Kimetsu no Yaiba: Mugen-jou Hen"]);
+  assert.deepEqual(romanizationVariants("Interstellar"), []);
+});
+
+test("Levenshtein and token set ratios", () => {
+  assert.equal(levenshtein("obsession", "obsessed"), 3);
+  assert.equal(tokenSetRatio("leon", "leon professional"), 1);
+  assert.equal(tokenSetRatio("man single", "single man"), 1);
+  assert.equal(tokenSetRatio("inception", "interstellar"), 0);
+});
+
+test("titleSimilarity: same title 1, containment 0.75, unrelated below the match threshold", () => {
+  assert.equal(similarity("Amélie", "Amelie"), 1);
+  assert.equal(similarity("Léon", "Léon: The Professional"), 0.75);
+  assert.equal(similarity("Interstellar", "Inception"), 0.33);
+  assert.equal(similarity("Chrustaljov, mašinu!", "Khrustalyov, mashinu!"), 0.95);
+  // Pod hranicí shody (IMDB_MIN_TITLE_SIMILARITY 0.75)
+  assert.equal(similarity("Good Morning, Brno!", "Good Morning, Vietnam"), 0.7);
+});
+
+test("long vowels only collapse in transcribed titles", () => {
+  assert.equal(similarity("Gekijouban", "Gekijōban"), 1);
+  assert.equal(similarity("Kjóto", "Kyoto"), 1);
+  for (const [a, b] of [["Good", "God"], ["Moon", "Mon"], ["Zoom", "Zom"], ["Good Will Hunting", "God Will Hunting"]]) {
+    assert.ok(similarity(a, b) < 1, `${a} / ${b}`);
+  }
+  assert.equal(similarity("Good", "God"), 0.75);
+});
+
+// Skutečné chyby z data/csfd_ratings.json
+test("real miss: Czech transcription scored as a weak word overlap", () => {
+  const candidates = [{ imdbId: "tt6587046", title: "Kimitachi wa dô ikiru ka", titles: ["Kimitachi wa dô ikiru ka", "The Boy and the Heron"], year: "2023" }];
+  // Dříve jen 3 společná slova → 0.53, ke kontrole
+  assert.deepEqual(best(candidates, "Kimitači wa dó ikiru ka", "2023"), ["tt6587046", 1]);
+});
+
+test("real miss: same original title, the year one off decides", () => {
+  const candidates = [
+    { imdbId: "tt0403783", title: "Master i Margarita", year: "2005" },
+    { imdbId: "tt33823124", title: "Master i Margarita", year: "2024" },
+  ];
+  // ČSFD rok 2023 (festival) - dříve remíza a vyhrál seriál z 2005
+  assert.deepEqual(best(candidates, "Master i Margarita", "2023"), ["tt33823124", 0.83]);
+});
+
+test("real miss: shared words are not a match", () => {
+  // "Dobré ráno, Brno!" dostalo IMDb ID filmu Good Morning, Vietnam (1987)
+  assert.equal(best([{ imdbId: "tt0093105", title: "Good Morning, Vietnam", year: "1987" }], "Good Morning, Brno!", "2023"), null);
+});
+
+test("real miss: the article-less title of another year loses to the right year", () => {
+  const candidates = [
+    { imdbId: "tt2709692", title: "The Grinch", year: "2018" },
+    { imdbId: "tt0170016", title: "How the Grinch Stole Christmas", year: "2000" },
+  ];
+  assert.deepEqual(best(candidates, "Grinch", "2000"), ["tt0170016", 0.83]);
+  assert.deepEqual(best(candidates, "Grinch", "2018"), ["tt2709692", 1]);
+});
+
+test("a search without a year is never a confident match", () => {
+  // Seriál se hledá bez roku - stejnojmenný titul dřív dostal plné body za rok
+  const candidates = [{ imdbId: "tt0403783", title: "Master i Margarita", year: "2005" }];
+  const result = scoreImdbCandidates(candidates, "Master i Margarita", "");
+  assert.deepEqual([result.imdb_id, result.imdb_match_score], ["tt0403783", 0.75]);
+  assert.equal(needsImdbReview(result), true);
+  assert.equal(best([{ imdbId: "tt0403783", title: "Master i Margarita", year: "" }], "Master i Margarita", "2005")[1], 0.75);
+});
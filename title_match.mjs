@@ -0,0 +1,153 @@
+// Normalizace a podobnost názvů pro IMDb párování - diakritika, členy, česká
+// transkripce japonštiny/ruštiny a fuzzy skóre (Levenshtein + token set).
+// Používá živé hledání (csfd_core.mjs) i offline index (imdb_index.mjs).
+
+/** ────────────────────────────────
+ *  CONFIG
+ *  ──────────────────────────────── */
+
+// Úvodní členy, které IMDb a ČSFD píší různě ("The Grinch" vs. "Grinch")
+const LEADING_ARTICLES = new Set(["the", "a", "an", "le", "la", "les", "l", "der", "die", "das", "el", "los", "las", "il", "lo", "gli"]);
+
+// Česká transkripce → anglický/Hepburnův přepis ("Kimitači wa dó" → "Kimitachi wa do",
+// "todžimari" → "tojimari", "Kjóto" → "Kyoto", "Čeburaška" → "Cheburashka").
+// j → y musí být před dž → j
+const TRANSCRIPTION_RULES = [
+  [/(?<=^|\s|[bcdfghklmnprstvzřBCDFGHKLMNPRSTVZŘ])j(?=[aeiouáéíóú])/g, "y"],
+  [/(?<=^|\s)J(?=[aeiouáéíóú])/g, "Y"],
+  [/dž/g, "j"],
+  [/Dž/g, "J"],
+  [/č/g, "ch"],
+  [/Č/g, "Ch"],
+  [/š/g, "sh"],
+  [/Š/g, "Sh"],
+  [/ž/g, "zh"],
+  [/Ž/g, "Zh"],
+];
+
+// Písmena, která anglický ani Hepburnův přepis nemá - jen pak má smysl hledat přepis
+const TRANSCRIPTION_MARKERS = /[čšžóúůČŠŽ]/;
+
+// Japonské dlouhé samohlásky se přepisují ō/ô/ó/ou/oo - ve srovnávacím klíči splývají.
+// Pro podobnost jen u názvů, které na přepis vypadají - jinak by "Good" = "God", "Moon" = "Mon"
+const LONG_VOWELS = [[/ou|oo/g, "o"], [/uu/g, "u"], [/aa/g, "a"], [/ii/g, "i"], [/ee/g, "e"]];
+const LONG_VOWEL_MARKERS = /[āēīōūâêîôûĀĒĪŌŪÂÊÎÔÛ]/;
+
+// "Gekijouban" = filmová verze; IMDb ho v názvu často nemá
+const MOVIE_PREFIX = /^gekij(?:ou|oo|ó|ō|ô|o)ban[\s:]+/i;
+
+// Shoda jen části slov (jeden název obsahuje druhý) nikdy nepřebije plnou shodu
+const TOKEN_SET_WEIGHT = 0.75;
+
+/** ────────────────────────────────
+ *  NORMALIZATION
+ *  ──────────────────────────────── */
+
+/** "Amélie" → "Amelie" (also ø, ł, ß which don't decompose) */
+export function foldDiacritics(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/ø/g, "o").replace(/Ø/g, "O")
+    .replace(/ł/g, "l").replace(/Ł/g, "L")
+    .replace(/ß/g, "ss");
+}
+
+/**
+ * Comparable form of a title: no diacritics, lowercase, "&" as "and", punctuation
+ * collapsed and a leading article dropped ("L'Écume des jours" → "ecume des jours").
+ */
+export function normalizeTitle(title) {
+  const words = foldDiacritics(title)
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+  if (words.length > 1 && LEADING_ARTICLES.has(words[0])) words.shift();
+  return words.join(" ");
+}
+
+/** Czech transcription rewritten the English/Hepburn way, diacritics kept for normalizeTitle */
+const transcribe = (title) => TRANSCRIPTION_RULES.reduce((text, [pattern, to]) => text.replace(pattern, to), String(title || ""));
+
+/** Czech transcription (č, ž, ó...) or Hepburn long vowels (ō, ô) - a title where long vowels may be spelled differently */
+export const looksTranscribed = (title) => TRANSCRIPTION_MARKERS.test(title) || LONG_VOWEL_MARKERS.test(title);
+
+/**
+ * Normalized title with one romanization: Czech transcription → English/Hepburn and
+ * Japanese long vowels collapsed (unless longVowels is false). "Kimitači wa dó ikiru ka"
+ * and "Kimitachi wa dô ikiru ka" give the same key.
+ */
+export function romanizeTitle(title, { longVowels = true } = {}) {
+  const key = normalizeTitle(transcribe(title));
+  return longVowels ? LONG_VOWELS.reduce((text, [pattern, to]) => text.replace(pattern, to), key) : key;
+}
+
+/**
+ * Other spellings worth a separate IMDb search: the English/Hepburn transcription
+ * and the title without a "Gekijouban" prefix. Never includes the title itself.
+ */
+export function romanizationVariants(title) {
+  const original = String(title || "").trim();
+  const transcribed = TRANSCRIPTION_MARKERS.test(original) ? foldDiacritics(transcribe(original)) : original;
+  const variants = [transcribed, original.replace(MOVIE_PREFIX, ""), transcribed.replace(MOVIE_PREFIX, "")];
+  return [...new Set(variants)].filter((variant) => variant && variant !== original && normalizeTitle(variant) !== normalizeTitle(original));
+}
+
+/** ────────────────────────────────
+ *  SIMILARITY
+ *  ──────────────────────────────── */
+
+/** Edit distance (insert/delete/substitute) */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length || !b.length) return a.length || b.length;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/** 1 = same string, 0 = nothing in common */
+export function levenshteinRatio(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - levenshtein(a, b) / length;
+}
+
+/**
+ * Token set ratio (as in fuzzywuzzy): shared words against each side's full word set,
+ * so word order and extra words on one side ("leon" / "leon professional") don't matter.
+ */
+export function tokenSetRatio(a, b) {
+  const wordsA = new Set(a.split(" ").filter(Boolean));
+  const wordsB = new Set(b.split(" ").filter(Boolean));
+  const shared = [...wordsA].filter((word) => wordsB.has(word)).sort();
+  if (shared.length === 0) return 0;
+  const sorted = (words) => [...words].filter((word) => !shared.includes(word)).sort();
+  const base = shared.join(" ");
+  const withA = [base, ...sorted(wordsA)].join(" ").trim();
+  const withB = [base, ...sorted(wordsB)].join(" ").trim();
+  return Math.max(levenshteinRatio(base, withA), levenshteinRatio(base, withB), levenshteinRatio(withA, withB));
+}
+
+/**
+ * Similarity of two titles, 0-1. 1 = same title after normalization or romanization,
+ * otherwise the better of the Levenshtein ratio and the (weighted) token set ratio.
+ * Long vowels only collapse when one of the titles looks transcribed (looksTranscribed).
+ */
+export function titleSimilarity(a, b) {
+  const [normalA, normalB] = [normalizeTitle(a), normalizeTitle(b)];
+  if (!normalA || !normalB) return 0;
+  if (normalA === normalB) return 1;
+  const longVowels = looksTranscribed(a) || looksTranscribed(b);
+  const [romanA, romanB] = [romanizeTitle(a, { longVowels }), romanizeTitle(b, { longVowels })];
+  if (romanA === romanB) return 1;
+  return Math.max(levenshteinRatio(romanA, romanB), TOKEN_SET_WEIGHT * tokenSetRatio(romanA, romanB));
+}